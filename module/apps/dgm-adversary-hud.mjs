@@ -3,6 +3,37 @@
 import { getSetting, SETTINGS, debugLog, applyThemeToElement } from "../settings.mjs";
 import { sendItemToChat } from "../helpers/chat-utils.mjs";
 import { enrichItemDescription, toHudInlineButtons } from "../helpers/inline-rolls.mjs";
+import { getActiveCombat, getCombatantForToken, setCombatantDefeated } from "../helpers/combat-utils.mjs";
+import { adjustActorResource } from "../helpers/resources.mjs";
+import {
+  applyDamageToActor, formatDamageResult, getDamageParts, criticalFormula
+} from "../helpers/damage.mjs";
+import { HUD_HOOKS } from "../helpers/hooks.mjs";
+import { hasMarkedAllHitPoints, isTokenDefeated, setTokenDefeated } from "../helpers/defeated.mjs";
+import { getHordeDamage } from "../helpers/horde.mjs";
+import { getFear, adjustFear, getFeatureFearCost } from "../helpers/fear.mjs";
+import { normalizeRange, getRangeDistance, prepareRangeBands } from "../helpers/ranges.mjs";
+import { TEMPLATE_EXPIRY, createTemplateExpiry } from "../helpers/measured-templates.mjs";
+import { templateStyleData } from "../helpers/template-style.mjs";
+import {
+  showRangePreview, clearRangePreview, getRangePreview, targetTokensInRange
+} from "../helpers/range-preview.mjs";
+import {
+  prepareCountdowns, findCountdown, createCountdown, tickCountdown, resetCountdown, deleteCountdown,
+  getFeatureCountdown, promptCountdownTick
+} from "../helpers/countdowns.mjs";
+import { findAttackRoll, postAttackSummary } from "../helpers/attack-resolution.mjs";
+import { getRollOptions, applyRollOptions, rollWithOptions } from "../helpers/roll-options.mjs";
+import {
+  getActionRollMode, setActionRollMode, prepareRollModes, applyRollModeToData, withMessageRollMode
+} from "../helpers/roll-modes.mjs";
+import {
+  isMinion, getMinionThreshold, getMinionGroup, getMinionGroupCount, applyMinionDamage, formatMinionResult
+} from "../helpers/minions.mjs";
+import {
+  prepareHistory, undoHistory, redoHistory, snapshotItemUses, recordItemUses,
+  recordTemplatesCreated, recordTemplatesDeleted
+} from "../helpers/history.mjs";
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -92,6 +123,19 @@ function featureHasActions(item) {
 }
 
 export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2) {
+  /** Partials shared by every HUD layout */
+  static SHARED_PARTIALS = [
+    "modules/daggerheart-gm-hud/templates/parts/hud-attack.hbs",
+    "modules/daggerheart-gm-hud/templates/parts/hud-features.hbs",
+    "modules/daggerheart-gm-hud/templates/parts/hud-history.hbs",
+    "modules/daggerheart-gm-hud/templates/parts/hud-pin-toggle.hbs",
+    "modules/daggerheart-gm-hud/templates/parts/hud-range-panel.hbs",
+    "modules/daggerheart-gm-hud/templates/parts/hud-roll-modes.hbs",
+    "modules/daggerheart-gm-hud/templates/parts/hud-fear.hbs",
+    "modules/daggerheart-gm-hud/templates/parts/hud-countdowns.hbs",
+    "modules/daggerheart-gm-hud/templates/parts/hud-roster.hbs"
+  ];
+
   static DEFAULT_OPTIONS = {
     id: "daggerheart-gm-hud",
     window: { title: "Daggerheart GM HUD", positioned: false, resizable: false }, // Set to false
@@ -100,20 +144,48 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
   };  
 
   static PARTS = {
-    body: { template: "modules/daggerheart-gm-hud/templates/hud-adversary.hbs" }
+    body: {
+      template: "modules/daggerheart-gm-hud/templates/hud-adversary.hbs",
+      templates: DaggerheartGMHUD.SHARED_PARTIALS
+    }
   };
 
-  constructor({ actor, token } = {}, options = {}) {
+  constructor({ actor, token, roster = [], onSelectToken = null, onPinToken = null, pinned = false } = {}, options = {}) {
+    // Pinned HUDs need their own application id so several can be open at once
+    if (pinned) options = { id: DaggerheartGMHUD.pinnedId(token), ...options };
     super(options);
     this.actor = actor ?? null;
     this.token = token ?? null;
+    this.pinned = pinned;
+    this.roster = roster;
+    this._onSelectToken = onSelectToken;
+    this._onPinToken = onPinToken;
     this._lastPosition = null;
     this._isDragging = false;
     this._showFill = false;
+    this._uiState = null;
+    this._descriptionCache = new Map();
   }
   
   static _filterState = "none";
 
+  // Attack picked in the attack carousel, per token id (survives HUD re-creation)
+  static _selectedAttacks = new Map();
+
+  /**
+   * Application id used by the pinned HUD of a given token
+   */
+  static pinnedId(token) {
+    return `daggerheart-gm-hud-pinned-${token?.id ?? "unknown"}`;
+  }
+
+  /**
+   * User flag key holding this HUD's saved position (pinned HUDs save per token)
+   */
+  get positionFlagKey() {
+    return this.pinned ? `pinnedPositions.${this.token?.id}` : "hudPosition";
+  }
+
   get showFill() {
     // Get from user flag, default to false
     return game.user.getFlag("daggerheart-gm-hud", "showFill") ?? false;
@@ -125,29 +197,248 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
     this._showFill = value; // Keep local copy for immediate access
   }
 
+  /** When new range templates expire during combat: { mode, rounds } (user flag) */
+  get templateExpiry() {
+    return game.user.getFlag("daggerheart-gm-hud", "templateExpiry") ?? { mode: "never", rounds: 1 };
+  }
+
+  async setTemplateExpiry(changes) {
+    await game.user.setFlag("daggerheart-gm-hud", "templateExpiry", { ...this.templateExpiry, ...changes });
+  }
+
+  /**
+   * Refresh the HUD after a document change without closing it.
+   * Resource-only updates patch the counters in place; anything else
+   * re-renders while keeping open panels, <details> and scroll positions.
+   */
+  async refresh({ changes = null } = {}) {
+    if (!this.rendered) return;
+
+    // A horde crossing half HP switches attack damage, which needs a full render
+    const hordeSwitched = (getHordeDamage(this.actor)?.reduced ?? false) !== (this._hordeReduced ?? false);
+    if (changes && DaggerheartGMHUD._isResourceOnlyChange(changes) && !hordeSwitched) {
+      debugLog("Resource-only change, patching counters");
+      this._refreshResources();
+      return;
+    }
+
+    await this.render();
+  }
+
+  static _isResourceOnlyChange(changes) {
+    const keys = Object.keys(foundry.utils.flattenObject(changes))
+      .filter(key => key !== "_id" && !key.startsWith("_stats."));
+    return keys.length > 0 && keys.every(key => key.startsWith("system.resources."));
+  }
+
+  _refreshResources() {
+    const root = this.element;
+    const sys = this.actor?.system;
+    if (!root || !sys) return;
+
+    const hp = sys.resources?.hitPoints ?? {};
+    const stress = sys.resources?.stress ?? {};
+    const hpEl = root.querySelector(".dgm-count .value[data-bind='hp']");
+    const stressEl = root.querySelector(".dgm-count .value[data-bind='stress']");
+    if (hpEl) hpEl.textContent = `${Number(hp.value ?? 0)}/${Number(hp.max ?? 0)}`;
+    if (stressEl) stressEl.textContent = `${Number(stress.value ?? 0)}/${Number(stress.max ?? 0)}`;
+
+    const minion = this._prepareMinion();
+    const minionEl = root.querySelector(".dgm-count .info[data-bind='minions']");
+    if (minionEl && minion) minionEl.textContent = `${minion.remaining}/${minion.total}`;
+
+    // Roster entries show pips for every selected adversary
+    for (const entry of this._prepareRoster()) {
+      const el = root.querySelector(`.dgm-roster-entry[data-token-id="${entry.tokenId}"]`);
+      if (!el) continue;
+      const toPips = (pips) => pips.map(marked => `<span class="dgm-pip${marked ? " marked" : ""}"></span>`).join("");
+      const hpPips = el.querySelector(".dgm-roster-pips--hp");
+      const stressPips = el.querySelector(".dgm-roster-pips--stress");
+      if (hpPips) hpPips.innerHTML = toPips(entry.hpPips);
+      if (stressPips) stressPips.innerHTML = toPips(entry.stressPips);
+    }
+  }
+
+  /**
+   * Re-render only the undo history strip (and range buttons, which undo can flip)
+   */
+  async _refreshHistory() {
+    const current = this.element?.querySelector(".dgm-history");
+    if (!current) return;
+
+    const open = current.querySelector(".dgm-history-log")?.open ?? false;
+    const html = await foundry.applications.handlebars.renderTemplate(
+      "modules/daggerheart-gm-hud/templates/parts/hud-history.hbs",
+      { history: this._prepareHistory() }
+    );
+    const wrapper = document.createElement("div");
+    wrapper.innerHTML = html.trim();
+    const next = wrapper.firstElementChild;
+    if (!next) return;
+
+    const log = next.querySelector(".dgm-history-log");
+    if (log) log.open = open;
+    current.replaceWith(next);
+    this._updateAllRangeButtonStates();
+  }
+
+  /**
+   * Snapshot transient UI state (open panel, <details>, scroll) before a re-render
+   */
+  _captureUIState() {
+    const root = this.element;
+    if (!root) return null;
+
+    const shell = root.querySelector(".dgm-hud");
+    const openFeatures = [...root.querySelectorAll(".dgm-acc-item details[open] [data-feature-id]")]
+      .map(el => el.dataset.featureId);
+    const scroll = {};
+    root.querySelectorAll(".dgm-panel[data-panel]").forEach(panel => {
+      scroll[panel.dataset.panel] = panel.scrollTop;
+    });
+
+    return {
+      open: shell?.getAttribute("data-open") ?? "",
+      headerOpen: root.querySelector(".dgm-header details")?.open ?? false,
+      openFeatures: [...new Set(openFeatures)],
+      scroll
+    };
+  }
+
+  _restoreUIState(state) {
+    const root = this.element;
+    if (!root || !state) return;
+
+    const shell = root.querySelector(".dgm-hud");
+    shell?.setAttribute("data-open", state.open);
+    root.querySelector("[data-action='toggle-features']")
+      ?.setAttribute("aria-expanded", String(state.open === "features"));
+    root.querySelector("[data-action='toggle-countdowns']")
+      ?.setAttribute("aria-expanded", String(state.open === "countdowns"));
+
+    const header = root.querySelector(".dgm-header details");
+    if (header) header.open = state.headerOpen;
+
+    for (const featureId of state.openFeatures) {
+      const details = root.querySelector(`[data-feature-id="${featureId}"]`)?.closest("details");
+      if (details) details.open = true;
+    }
+
+    const openPanel = state.open ? root.querySelector(`.dgm-panel[data-panel="${state.open}"]`) : null;
+    if (openPanel) setGMPanelOpenDirection(openPanel);
+
+    root.querySelectorAll(".dgm-panel[data-panel]").forEach(panel => {
+      const top = state.scroll[panel.dataset.panel];
+      if (top) panel.scrollTop = top;
+    });
+  }
+
+  async _preRender(context, options) {
+    await super._preRender(context, options);
+    this._uiState = this._captureUIState();
+  }
+
   async _executeFeature(item, actionPath = "use") {
     const Action = CONFIG?.DAGGERHEART?.Action ?? CONFIG?.DH?.Action;
     
     debugLog("Executing feature:", item.name, "with action path:", actionPath);
+
+    const hookData = { token: this.token, item, actionPath };
+    if (Hooks.call(HUD_HOOKS.preExecuteFeature, this.actor, hookData) === false) return;
+    // Listeners may swap the feature or the action
+    ({ item, actionPath } = hookData);
+
+    // Features that cost Fear need enough of it; the system may spend it itself
+    const fearCost = getFeatureFearCost(item, actionPath === "use" ? null : actionPath);
+    const fearBefore = getFear().value;
+    if (fearCost > fearBefore) {
+      ui.notifications?.warn(`${item.name} costs ${fearCost} Fear, you have ${fearBefore}`);
+      return;
+    }
+
+    const usesBefore = snapshotItemUses(item);
     
     try {
-      if (typeof item.rollAction === "function") return await item.rollAction(actionPath);
-      if (typeof item.use === "function") return await item.use({ action: actionPath });
-      if (Action?.execute) return await Action.execute({ source: item, actionPath });
-      
-      // Fallback to opening item sheet
-      item.sheet?.render(true, { focus: true });
+      let result;
+      if (typeof item.rollAction === "function") result = await item.rollAction(actionPath);
+      else if (typeof item.use === "function") result = await item.use({ action: actionPath });
+      else if (Action?.execute) result = await Action.execute({ source: item, actionPath });
+      else {
+        // Fallback to opening item sheet
+        item.sheet?.render(true, { focus: true });
+        return;
+      }
+
+      // A dismissed system dialog resolves to undefined: only charge Fear when the feature was used
+      const usesSpent = recordItemUses(this.token, item, usesBefore);
+      const used = (result != null && result !== false) || Boolean(usesSpent);
+      if (fearCost > 0 && used) await this._spendFeatureFear(fearCost, fearBefore);
+      Hooks.callAll(HUD_HOOKS.executeFeature, this.actor, { ...hookData, result });
+      return result;
     } catch (err) {
       console.error("[GM HUD] Feature execution failed", err);
       ui.notifications?.error("Feature execution failed (see console)");
     }
   }
 
-  async _rollAttack() {
+  /** Deduct a feature's Fear cost, minus whatever the system already spent while using it */
+  async _spendFeatureFear(cost, before) {
+    const spent = before - getFear().value;
+    if (spent >= cost) return;
+    await adjustFear(-(cost - spent), { actor: this.actor, source: "feature" });
+  }
+
+  /**
+   * Attacks the carousel offers: the primary attack, then every attack-type
+   * action on the actor's feature items
+   */
+  _getAttackOptions() {
+    const actor = this.actor;
+    if (!actor) return [];
+
+    const options = [];
+    if (actor.system?.attack) options.push({ key: "primary", action: actor.system.attack, item: null });
+
+    for (const item of actor.items.filter(i => i.type === "feature")) {
+      const actions = item.system?.actions;
+      const list = actions?.contents ?? (actions ? Object.values(actions) : []);
+      for (const action of list) {
+        if (action?.type !== "attack") continue;
+        options.push({ key: `${item.id}.${action._id}`, action, item });
+      }
+    }
+    return options;
+  }
+
+  /** The attack picked in the carousel (or the given key), falling back to the first one */
+  _getSelectedAttack(attackKey = null) {
+    const options = this._getAttackOptions();
+    const key = attackKey ?? DaggerheartGMHUD._selectedAttacks.get(this.token?.id);
+    return options.find(option => option.key === key) ?? options[0] ?? null;
+  }
+
+  /** Step the attack carousel forwards (+1) or backwards (-1) */
+  async _cycleAttack(step) {
+    const options = this._getAttackOptions();
+    if (options.length < 2) return;
+
+    const current = options.indexOf(this._getSelectedAttack());
+    const next = options[(current + step + options.length) % options.length];
+    DaggerheartGMHUD._selectedAttacks.set(this.token?.id, next.key);
+    debugLog("Selected attack:", next.action.name);
+    await this.render();
+  }
+
+  /**
+   * Roll the selected attack. Without roll options the system handles the roll;
+   * with them (advantage, bonus, experience, roll mode) the HUD rolls d20 + bonus itself.
+   */
+  async _rollAttack(rollOptions = null) {
     const actor = this.actor;
     if (!actor) return;
 
-    const attack = actor.system?.attack;
+    const selected = this._getSelectedAttack();
+    let attack = selected?.action;
     if (!attack) {
       ui.notifications?.warn("No attack configured for this adversary");
       return;
@@ -155,34 +446,71 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
 
     debugLog("Rolling attack:", attack.name);
 
+    const hookData = { token: this.token, attack, rollOptions };
+    if (Hooks.call(HUD_HOOKS.preRollAttack, actor, hookData) === false) return;
+    // Listeners may swap the attack or change the roll options
+    ({ attack, rollOptions } = hookData);
+
+    // Targets are read before the roll, so changing them mid-dialog doesn't matter
+    const targets = [...game.user.targets].filter(t => t.actor);
+    const rolledAt = Date.now();
+
     try {
       const Action = CONFIG?.DAGGERHEART?.Action ?? CONFIG?.DH?.Action;
       
-      if (typeof attack.rollAction === "function") {
-        return await attack.rollAction("attack");
-      }
-      if (typeof attack.use === "function") {
-        return await attack.use({ action: "attack" });
+      const rollMode = rollOptions?.rollMode ?? getActionRollMode("attack");
+
+      let result;
+      if (rollOptions) {
+        const bonus = Number(attack.roll?.bonus ?? 0);
+        result = await rollWithOptions(actor, `1d20 + ${bonus}`, rollOptions, { flavor: attack.name ?? "Attack", rollMode });
+        if (!result) return null;
+      } else if (typeof attack.rollAction === "function") {
+        result = await withMessageRollMode(rollMode, () => attack.rollAction("attack"));
+      } else if (typeof attack.use === "function") {
+        result = await withMessageRollMode(rollMode, () => attack.use({ action: "attack" }));
+      } else if (Action?.execute) {
+        result = await withMessageRollMode(rollMode, () => Action.execute({ source: attack, actionPath: "attack" }));
+      } else {
+        // Fallback notification
+        ui.notifications?.info("Open the actor sheet to use this attack");
+        return;
       }
-      if (Action?.execute) {
-        return await Action.execute({ source: attack, actionPath: "attack" });
+
+      if (targets.length) {
+        const roll = findAttackRoll(result, rolledAt);
+        if (roll) await postAttackSummary(actor, { token: this.token, attack, attackKey: selected.key, roll, targets, rollMode });
       }
-      
-      // Fallback notification
-      ui.notifications?.info("Open the actor sheet to use this attack");
+
+      Hooks.callAll(HUD_HOOKS.rollAttack, actor, { ...hookData, result });
+      return result;
     } catch (err) {
       console.error("[GM HUD] Attack roll failed", err);
       ui.notifications?.error("Attack roll failed (see console)");
     }
   }
 
-  async _rollReaction() {
+  async _rollReaction(rollOptions = null) {
     const actor = this.actor;
     if (!actor) return;
 
     debugLog("Rolling reaction for:", actor.name);
 
     try {
+      // Advantage, bonuses and experiences: the HUD rolls the d20 itself
+      if (rollOptions) {
+        const hookData = { token: this.token, config: null, rollOptions };
+        if (Hooks.call(HUD_HOOKS.preRollReaction, actor, hookData) === false) return;
+
+        const result = await rollWithOptions(actor, "1d20", hookData.rollOptions, {
+          flavor: game.i18n.localize("DAGGERHEART.GENERAL.reactionRoll"),
+          rollMode: getActionRollMode("reaction")
+        });
+        if (!result) return null;
+        Hooks.callAll(HUD_HOOKS.rollReaction, actor, { ...hookData, result });
+        return result;
+      }
+
       // Use the forum-suggested approach with localization
       const config = {
         event: { 
@@ -200,10 +528,15 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
         data: actor.getRollData()
       };
 
+      const hookData = { token: this.token, config, rollOptions };
+      if (Hooks.call(HUD_HOOKS.preRollReaction, actor, hookData) === false) return;
+
       // Call the actor's diceRoll method with the new config
-      await actor.diceRoll(config);
+      const result = await withMessageRollMode(getActionRollMode("reaction"), () => actor.diceRoll(hookData.config));
       
       debugLog("Reaction roll completed successfully");
+      Hooks.callAll(HUD_HOOKS.rollReaction, actor, { ...hookData, result });
+      return result;
       
     } catch (err) {
       console.error("[GM HUD] Reaction roll failed", err);
@@ -211,137 +544,175 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
     }
   }
 
-  async _rollDamage() {
+  async _rollDamage({ attackKey = null, critical = false } = {}) {
     const actor = this.actor;
     if (!actor) return;
 
-    const atk = actor.system?.attack;
-    const parts = atk?.damage?.parts;
-    if (!Array.isArray(parts) || parts.length === 0) return;
-
-    // Build a Foundry formula like "4d12+15 + 2d6+1"
-    const formula = parts
-      .map(p => {
-        const v = p?.value ?? {};
-        const n   = Math.max(1, Number(v.flatMultiplier ?? 1));     // number of dice
-        const die = normalizeDie(v.dice);                            // "d12" -> "d12"
-        const bonus = numberish(v.bonus);
-        const seg = `${n}${die}`;
-        return bonus != null && bonus !== 0 ? `${seg}${bonus >= 0 ? "+" : ""}${bonus}` : seg;
-      })
-      .filter(Boolean)
-      .join(" + ");
-    if (!formula) return;
-
-    const roll = await (new Roll(formula, actor.getRollData?.() ?? {})).evaluate({ async: true });
-    if (game.dice3d?.isEnabled?.()) {
-    // Show 3D dice using current roll mode, synced for all players
-    const rollMode = game.settings.get("core", "rollMode");
-    await game.dice3d.showForRoll(roll, game.user, true, rollMode);
-  }
-    const total = roll.total;
-
-    // Build dice faces markup with system classes
-    const diceFacesHTML = roll.dice.map(die => {
-      const faceClass = `dice d${die.faces}`; // e.g. "dice d12"
-      const faces = die.results.map(r => {
-        return `
-          <div class="roll-die">
-            <div class="${faceClass}">${r.result}</div>
-          </div>`;
-      }).join("");
-      return `<div class="roll-dice">${faces}</div>`;
-    }).join("");
-
-    // Compute modifier (sum of all flat bonuses across parts)
-    const diceTotal = roll.dice.reduce((s, d) => s + (d.total ?? 0), 0);
-    const mod = total - diceTotal;
-    const modInlineHTML = mod
-      ? `<span class="roll-mod-inline" style="font-family:'Cinzel',serif; font-size:20px; font-weight:700;">&nbsp;${mod > 0 ? "+" : "–"}&nbsp;${Math.abs(mod)}</span>`
-      : "";
-
-    const attackName = atk.name ?? "Attack";
-    const headerLine = `${attackName}`;
-    const img = atk.img || "icons/svg/sword.svg";
-
-    // --- damage type derivation and FA icon mapping (local to _rollDamage) ---
-    let dmgTypeKey = atk?.damageType;
-    if (!dmgTypeKey) {
-      const tset = atk?.damage?.parts?.[0]?.type;
-      if (tset && tset.size) dmgTypeKey = [...tset][0]; // first from Set
-    }
-    dmgTypeKey = (dmgTypeKey ?? "").toString().toLowerCase();
-
-    const dmgTypeIcon = ({
-      physical: "fa-solid fa-hand-fist",
-      magical : "fa-solid fa-wand-magic-sparkles",
-    })[dmgTypeKey] || "";
+    try {
+      const selected = this._getSelectedAttack(attackKey);
+      const atk = selected?.action;
+      let parts = getDamageParts(atk?.damage, { critical });
+      if (!parts.length) return;
+
+      // Hordes with half their HP marked deal their reduced damage with their standard attack
+      const horde = selected.key === "primary" ? getHordeDamage(actor) : null;
+      if (horde?.reduced) {
+        parts = [{
+          formula: horde.formula,
+          rollFormula: critical ? criticalFormula(horde.formula) : horde.formula,
+          types: parts[0].types
+        }];
+      }
 
-    const dmgTypeName = dmgTypeKey
-      ? game.i18n.localize(`DAGGERHEART.CONFIG.DamageType.${dmgTypeKey}.name`)
-      : "";
+      // One Foundry formula for the whole attack, like "4d12+15 + 2d6+1"
+      const formula = parts.map(part => part.rollFormula).join(" + ");
+      const hookData = { token: this.token, attack: atk, formula, critical, parts };
+      if (Hooks.call(HUD_HOOKS.preRollDamage, actor, hookData) === false) return;
 
-    // --- SYSTEM-SHAPED HTML ---
-    const content = `
-    <div class="message-content">
-      <div class="chat-roll">
+      // A hook that rewrote the formula gets it rolled as a single part
+      const rollParts = hookData.formula === formula
+        ? parts
+        : [{ formula: hookData.formula, rollFormula: hookData.formula, types: parts[0].types }];
 
-        <div class="roll-part-header"><span>${headerLine}</span></div>
+      const rollData = actor.getRollData?.() ?? {};
+      const rolls = [];
+      for (const part of rollParts) {
+        rolls.push(await new Roll(part.rollFormula, rollData).evaluate());
+      }
+      const rollMode = getActionRollMode("damage");
+      if (game.dice3d?.isEnabled?.()) {
+        // Show 3D dice to whoever the damage roll mode shows the message to (whisper recipients, blind)
+        const { whisper = [], blind = false } = ChatMessage.applyRollMode({}, rollMode);
+        await Promise.all(rolls.map(roll => game.dice3d.showForRoll(roll, game.user, true, whisper.length ? whisper : null, blind)));
+      }
+      const total = rolls.reduce((sum, roll) => sum + roll.total, 0);
+
+      // Build dice faces markup with system classes
+      const diceFacesHTML = rolls.flatMap(roll => roll.dice).map(die => {
+        const faceClass = `dice d${die.faces}`; // e.g. "dice d12"
+        const faces = die.results.map(r => {
+          return `
+            <div class="roll-die">
+              <div class="${faceClass}">${r.result}</div>
+            </div>`;
+        }).join("");
+        return `<div class="roll-dice">${faces}</div>`;
+      }).join("");
 
-        <!-- Optional image banner like your card -->
-        <div class="roll-part roll-section">
-          <div class="roll-part-content">
-            <img src="${img}" alt="${attackName}" style="width:100%;height:110px;object-fit:cover;display:block;margin:6px 0;"/>
+      // Compute modifier (flat bonuses and critical maximums across parts)
+      const diceTotal = rolls.flatMap(roll => roll.dice).reduce((s, d) => s + (d.total ?? 0), 0);
+      const mod = total - diceTotal;
+      const modInlineHTML = mod
+        ? `<span class="roll-mod-inline" style="font-family:'Cinzel',serif; font-size:20px; font-weight:700;">&nbsp;${mod > 0 ? "+" : "–"}&nbsp;${Math.abs(mod)}</span>`
+        : "";
+
+      const attackName = atk.name ?? "Attack";
+      const headerLine = critical ? `${attackName} (Critical)` : `${attackName}`;
+      const img = atk.img || selected.item?.img || "icons/svg/sword.svg";
+
+      const typeIcons = (types) => types
+        .filter(type => type.icon)
+        .map(type => `<i class="${type.icon}" style="margin:0 4px;" title="${type.name}"></i>`)
+        .join("");
+
+      // One line per damage part: formula, type icons and its own subtotal
+      const partsHTML = rollParts.length > 1 ? rollParts.map((part, i) => `
+            <div class="dgm-damage-part-row">
+              <span class="dgm-damage-part-formula">${part.rollFormula}</span>
+              <span class="dgm-damage-part-types">${typeIcons(part.types)}</span>
+              <span class="dgm-damage-part-total">${rolls[i].total}</span>
+            </div>`).join("") : "";
+
+      const allTypes = rollParts.flatMap(part => part.types)
+        .filter((type, i, list) => list.findIndex(t => t.key === type.key) === i);
+
+      // --- SYSTEM-SHAPED HTML ---
+      const content = `
+      <div class="message-content">
+        <div class="chat-roll">
+
+          <div class="roll-part-header"><span>${headerLine}</span></div>
+
+          <!-- Optional image banner like your card -->
+          <div class="roll-part roll-section">
+            <div class="roll-part-content">
+              <img src="${img}" alt="${attackName}" style="width:100%;height:110px;object-fit:cover;display:block;margin:6px 0;"/>
+            </div>
           </div>
-        </div>
 
-        <div class="dice-roll" data-action="expandRoll">
-          <div class="roll-part-header"><div><span>Formula</span></div></div>
-          <div class="roll-part-content dice-result">
-            <div class="dice-tooltip">
-              <div class="wrapper">
-                <div class="roll-dice-block">
-                  <div class="dgm-dice-results" style="display:flex; justify-content:center; align-items:center;">${diceFacesHTML}${modInlineHTML}</div>
+          <div class="dice-roll" data-action="expandRoll">
+            <div class="roll-part-header"><div><span>Formula</span></div></div>
+            <div class="roll-part-content dice-result">
+              <div class="dice-tooltip">
+                <div class="wrapper">
+                  <div class="roll-dice-block">
+                    <div class="dgm-dice-results" style="display:flex; justify-content:center; align-items:center;">${diceFacesHTML}${modInlineHTML}</div>
+                  </div>
                 </div>
+                <div class="roll-formula">${hookData.formula}</div>
               </div>
-              <div class="roll-formula">${formula}</div>
             </div>
           </div>
-        </div>
-
-        <div class="roll-part-header"><div></div></div>
-
-        <!-- Total result  -->
-        <div class="roll-part roll-section">
-          <div class="roll-part-content">
-            <div class="roll-result-container">
-              <span class="roll-result-value">${total}</span>
-              <span class="roll-result-desc">
-                ${dmgTypeIcon ? `<i class="${dmgTypeIcon}" style="margin:0 8px;" title="${dmgTypeName}"></i>` : ""}
-              </span>
+          ${partsHTML ? `<div class="dgm-damage-parts">${partsHTML}</div>` : ""}
+
+          <div class="roll-part-header"><div></div></div>
+
+          <!-- Total result  -->
+          <div class="roll-part roll-section">
+            <div class="roll-part-content">
+              <div class="roll-result-container">
+                <span class="roll-result-value">${total}</span>
+                <span class="roll-result-desc">
+                  ${typeIcons(allTypes)}
+                </span>
+            </div>
           </div>
+
+          <div class="roll-part-header"><div></div></div>
         </div>
+      </div>`;
+
+      const damageFlag = {
+        total,
+        formula: hookData.formula,
+        critical,
+        parts: rollParts.map((part, i) => ({
+          formula: part.rollFormula,
+          total: rolls[i].total,
+          types: part.types.map(type => type.key)
+        }))
+      };
 
-        <div class="roll-part-header"><div></div></div>
-      </div>
-    </div>`;
+      const message = await ChatMessage.create(applyRollModeToData({
+        speaker: ChatMessage.getSpeaker({ actor }),
+        content,
+        flags: { "daggerheart-gm-hud": { damage: damageFlag } }
+      }, rollMode));
 
+      Hooks.callAll(HUD_HOOKS.rollDamage, actor, { ...hookData, roll: rolls[0], rolls, total, message });
+      return rolls;
+    } catch (err) {
+      console.error("[GM HUD] Damage roll failed", err);
+      ui.notifications?.error("Damage roll failed (see console)");
+      return null;
+    }
+  }
 
-    await ChatMessage.create({
-      speaker: ChatMessage.getSpeaker({ actor }),
-      content
+  /**
+   * Ask whether to roll normal or critical damage
+   * @returns {Promise<boolean|null>} true for critical, null if dismissed
+   */
+  async _promptCriticalDamage() {
+    const choice = await foundry.applications.api.DialogV2.wait({
+      window: { title: "Damage Roll" },
+      content: "<p>Roll normal or critical damage? Critical damage adds the maximum the dice can show to the roll.</p>",
+      buttons: [
+        { action: "normal", label: "Normal", icon: "fa-solid fa-dice", default: true },
+        { action: "critical", label: "Critical", icon: "fa-solid fa-burst" }
+      ],
+      rejectClose: false
     });
-
-    // --- helpers ---
-    function normalizeDie(d) {
-      const s = String(d ?? "").trim().toLowerCase().replace(/\s+/g, "");
-      const m = s.match(/^d(\d+)$/) || s.match(/^\d*d(\d+)$/) || s.match(/(\d+)$/);
-      return m ? `d${m[1]}` : "d6";
-    }
-    function numberish(v) {
-      const n = Number(v);
-      return Number.isFinite(n) ? n : null;
-    }
+    return choice ? choice === "critical" : null;
   }
 
   _buildDamageFormula(damageValue) {
@@ -357,65 +728,52 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
   }
 
   async _createRangeTemplate(range) {
-  if (!canvas?.ready || !canvas.scene) return;
-
-  const squaresByRange = {
-    melee: 1,       // skipped
-    veryclose: 3,
-    close: 6,
-    far: 12,
-    veryfar: 13     // skipped
-  };
+    if (!canvas?.ready || !canvas.scene) return;
 
-  const r = String(range ?? "").toLowerCase().trim();
-  const squares = squaresByRange[r];
-  if (!squares || r === "melee" || r === "veryfar") return;
+    const tok = this.token ?? canvas.tokens.controlled[0];
+    if (!tok) return;
 
-  const tok = this.token ?? canvas.tokens.controlled[0];
-  if (!tok) return;
+    const reach = getRangeDistance(range, { scene: canvas.scene, token: tok });
+    if (!reach) return;
 
-  await this._cleanupExistingTemplates(tok);
+    await this._cleanupExistingTemplates(tok);
 
-  const unitsPerSquare = canvas.scene.grid.distance ?? 5;
-  const distanceUnits  = squares * unitsPerSquare;
+    const center = tok.center ?? {
+      x: (tok.document?.x ?? tok.x) + ((tok.document?.width ?? tok.w ?? 1) * canvas.grid.size) / 2,
+      y: (tok.document?.y ?? tok.y) + ((tok.document?.height ?? tok.h ?? 1) * canvas.grid.size) / 2
+    };
 
-  const center = tok.center ?? {
-    x: (tok.document?.x ?? tok.x) + ((tok.document?.width ?? tok.w ?? 1) * canvas.grid.size) / 2,
-    y: (tok.document?.y ?? tok.y) + ((tok.document?.height ?? tok.h ?? 1) * canvas.grid.size) / 2
-  };
+    // Theme colours (or the band's own from the settings), fill as toggled
+    const data = foundry.utils.mergeObject({
+      t: "circle",
+      x: center.x,
+      y: center.y,
+      distance: reach.distance,
+      direction: 0,
+      angle: 0,
+      width: 0,
+      elevation: tok.document?.elevation ?? tok.elevation ?? 0,
+      hidden: false,
+      flags: {
+        "daggerheart-gm-hud": {
+          range: reach.range,
+          distanceUnits: reach.distance,
+          units: reach.units,
+          actorId: this.actor?.id,
+          tokenId: tok.id ?? tok.document?.id,
+          expiry: createTemplateExpiry(this.templateExpiry),
+          createdAt: Date.now(),
+          hudInstance: this.id || "default"
+        }
+      },
+      author: game.user.id
+    }, templateStyleData(reach.range, { filled: this.showFill }));
 
-  const data = {
-    t: "circle",
-    x: center.x,
-    y: center.y,
-    distance: distanceUnits,
-    direction: 0,
-    angle: 0,
-    width: 0,
-    elevation: tok.document?.elevation ?? tok.elevation ?? 0,
-    borderColor: "#FF6B35",
-    fillColor: this.showFill ? game.user.color : "#00000000",
-    texture: "",
-    hidden: false,
-    flags: {
-      "daggerheart-gm-hud": {
-        range,
-        squares,
-        unitsPerSquare,
-        distanceUnits,
-        actorId: this.actor?.id,
-        tokenId: tok.id ?? tok.document?.id,
-        createdAt: Date.now(),
-        hudInstance: this.id || "default"
-      }
-    },
-    author: game.user.id
-  };
+    const [doc] = await canvas.scene.createEmbeddedDocuments("MeasuredTemplate", [data]);
+    recordTemplatesCreated(tok, [doc], `Range template: ${reach.range}`);
 
-  const [doc] = await canvas.scene.createEmbeddedDocuments("MeasuredTemplate", [data]);
-  
-  return canvas.templates.get(doc?.id ?? "");
-}
+    return canvas.templates.get(doc?.id ?? "");
+  }
 
   async _cleanupExistingTemplates(token) {
     if (!canvas?.scene || !token) return;
@@ -435,6 +793,7 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
 
       if (templatesToDelete.length > 0) {
         const templateIds = templatesToDelete.map(t => t.id);
+        recordTemplatesDeleted(token, templatesToDelete, "Templates removed");
         await canvas.scene.deleteEmbeddedDocuments("MeasuredTemplate", templateIds);
       }
     } catch (err) {
@@ -453,6 +812,7 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
 
       if (templatesToDelete.length > 0) {
         const templateIds = templatesToDelete.map(t => t.id);
+        recordTemplatesDeleted(this.token, templatesToDelete, "All HUD templates removed");
         await canvas.scene.deleteEmbeddedDocuments("MeasuredTemplate", templateIds);
       }
     } catch (err) {
@@ -465,9 +825,10 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
     if (!canvas?.scene || !token) return false;
     
     const tokenId = token.id ?? token.document?.id;
+    const band = normalizeRange(range) ?? range;
     return canvas.scene.templates.some(template => {
       const flags = template.flags?.["daggerheart-gm-hud"];
-      return flags && flags.tokenId === tokenId && flags.range === range;
+      return flags && flags.tokenId === tokenId && (normalizeRange(flags.range) ?? flags.range) === band;
     });
   }
 
@@ -476,13 +837,15 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
     
     try {
       const tokenId = token.id ?? token.document?.id;
+      const band = normalizeRange(range) ?? range;
       const templatesToDelete = canvas.scene.templates.filter(template => {
         const flags = template.flags?.["daggerheart-gm-hud"];
-        return flags && flags.tokenId === tokenId && flags.range === range;
+        return flags && flags.tokenId === tokenId && (normalizeRange(flags.range) ?? flags.range) === band;
       });
 
       if (templatesToDelete.length > 0) {
         const templateIds = templatesToDelete.map(t => t.id);
+        recordTemplatesDeleted(token, templatesToDelete, `Range template removed: ${range}`);
         await canvas.scene.deleteEmbeddedDocuments("MeasuredTemplate", templateIds);
       }
     } catch (err) {
@@ -512,42 +875,6 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
     }
   }
 
-  static onUpdateToken(tokenDocument, changes) {
-    // Only proceed if position changed
-    if (!('x' in changes || 'y' in changes)) return;
-    
-    try {
-      // Find templates for this token
-      const tokenId = tokenDocument.id;
-      const templatesToUpdate = canvas.scene.templates.filter(template => {
-        const flags = template.flags?.["daggerheart-gm-hud"];
-        return flags && flags.tokenId === tokenId;
-      });
-
-      if (templatesToUpdate.length === 0) return;
-
-      // Calculate new center position
-      const token = canvas.tokens.get(tokenId);
-      if (!token) return;
-
-      const newCenter = {
-        x: (changes.x ?? token.x) + (token.w / 2),
-        y: (changes.y ?? token.y) + (token.h / 2)
-      };
-
-      // Update template positions
-      const updates = templatesToUpdate.map(template => ({
-        _id: template.id,
-        x: newCenter.x,
-        y: newCenter.y
-      }));
-
-      canvas.scene.updateEmbeddedDocuments("MeasuredTemplate", updates);
-    } catch (err) {
-      console.error("[GM HUD] Token update failed:", err);
-    }
-  }
-
   _bindDelegatedEvents() {
       const rootEl = this.element;
       if (!rootEl || this._delegatedBound) return;
@@ -577,6 +904,7 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
           const newState = isOpen ? "" : "features";
           shell?.setAttribute("data-open", newState);
           featuresToggle.setAttribute("aria-expanded", String(!isOpen));
+          rootEl.querySelector("[data-action='toggle-countdowns']")?.setAttribute("aria-expanded", "false");
           
           if (!isOpen) {
             const panel = rootEl.querySelector(".dgm-panel--features");
@@ -600,7 +928,20 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
         const attackBtn = ev.target.closest("[data-action='roll-attack']");
         if (attackBtn) {
           stop(ev);
-          await this._rollAttack();
+          const rollOptions = await getRollOptions(ev, actor, {
+            title: `${game.i18n.localize("DAGGERHEART.GENERAL.Roll.attack")}: ${actor.name}`,
+            rollMode: getActionRollMode("attack")
+          });
+          if (rollOptions === false) return;
+          await this._rollAttack(rollOptions);
+          return;
+        }
+
+        // Attack carousel
+        const attackCycle = ev.target.closest("[data-action='attack-prev'], [data-action='attack-next']");
+        if (attackCycle) {
+          stop(ev);
+          await this._cycleAttack(attackCycle.dataset.action === "attack-next" ? 1 : -1);
           return;
         }
 
@@ -608,7 +949,8 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
         const damageBtn = ev.target.closest("[data-action='roll-damage']");
         if (damageBtn) {
           stop(ev);
-          await this._rollDamage();
+          // Shift-click rolls critical damage
+          await this._rollDamage({ critical: ev.shiftKey });
           return;
         }
 
@@ -616,7 +958,12 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
         const reactionBtn = ev.target.closest("[data-action='roll-reaction']");
         if (reactionBtn) {
           stop(ev);
-          await this._rollReaction();
+          const rollOptions = await getRollOptions(ev, actor, {
+            title: `${game.i18n.localize("DAGGERHEART.GENERAL.reactionRoll")}: ${actor.name}`,
+            rollMode: getActionRollMode("reaction")
+          });
+          if (rollOptions === false) return;
+          await this._rollReaction(rollOptions);
           return;
         }        
 
@@ -639,11 +986,24 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
           return;
         }
 
+        // Range panel: preview a band (client-only highlight) or target everything in it
+        const bandBtn = ev.target.closest("[data-action='range-preview'], [data-action='range-target']");
+        if (bandBtn) {
+          stop(ev);
+          if (bandBtn.dataset.action === "range-target") this._targetRange(bandBtn.dataset.range);
+          else this._toggleRangePreview(bandBtn.dataset.range);
+          return;
+        }
+
         // Range template toggle (left-click)
         const rangeDetails = ev.target.closest("[data-action='create-range-template']");
         if (rangeDetails) {
           stop(ev);
           const range = rangeDetails.dataset.range || rangeDetails.textContent?.trim();
+          if (range && ev.shiftKey) {
+            this._targetRange(range);
+            return;
+          }
           if (range) {
             const token = this.token ?? canvas.tokens.controlled[0];
             if (token && this._hasTemplateForRange(token, range)) {
@@ -654,12 +1014,54 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
               await this._createRangeTemplate(range);
             }
             
-            // Update icon state
-            this._updateRangeButtonState(rangeDetails, range);
+            // Update icon states (a new template replaces the token's other one)
+            this._updateAllRangeButtonStates();
           }
           return;
         }
 
+        // Defeated overlay: remove from scene / revive
+        const defeatedBtn = ev.target.closest("[data-action='defeated-remove'], [data-action='defeated-revive']");
+        if (defeatedBtn) {
+          stop(ev);
+          await this._onDefeatedAction(defeatedBtn.dataset.action);
+          return;
+        }
+
+        // Undo / redo the HUD's changes to this token
+        const historyBtn = ev.target.closest("[data-action='history-undo'], [data-action='history-redo']");
+        if (historyBtn) {
+          stop(ev);
+          if (historyBtn.dataset.action === "history-undo") await undoHistory(this.token);
+          else await redoHistory(this.token);
+          return;
+        }
+
+        // Countdowns panel toggle
+        const countdownsToggle = ev.target.closest("[data-action='toggle-countdowns']");
+        if (countdownsToggle) {
+          stop(ev);
+          const shell = rootEl.querySelector(".dgm-hud");
+          const isOpen = shell?.getAttribute("data-open") === "countdowns";
+          shell?.setAttribute("data-open", isOpen ? "" : "countdowns");
+          rootEl.querySelector("[data-action='toggle-features']")?.setAttribute("aria-expanded", "false");
+          countdownsToggle.setAttribute("aria-expanded", String(!isOpen));
+
+          if (!isOpen) {
+            const panel = rootEl.querySelector(".dgm-panel--countdowns");
+            if (panel) requestAnimationFrame(() => setGMPanelOpenDirection(panel));
+          }
+          return;
+        }
+
+        // Countdowns: tick, reset, remove, start from a "Countdown (N)" feature
+        const countdownBtn = ev.target.closest("[data-action^='countdown-']:not([data-action='countdown-create'])");
+        if (countdownBtn) {
+          stop(ev);
+          await this._onCountdownAction(countdownBtn);
+          return;
+        }
+
         // Template cleanup (individual)
         const cleanupBtn = ev.target.closest("[data-action='cleanup-templates']");
         if (cleanupBtn) {
@@ -704,7 +1106,7 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
             if (templatesToUpdate.length > 0) {
               const updates = templatesToUpdate.map(template => ({
                 _id: template.id,
-                fillColor: newValue ? game.user.color : "#00000000"
+                ...templateStyleData(template.flags["daggerheart-gm-hud"].range, { filled: newValue })
               }));
               
               canvas.scene.updateEmbeddedDocuments("MeasuredTemplate", updates);
@@ -722,8 +1124,63 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
           stop(ev);
           const formula = inlineRoll.dataset.formula;
           if (formula) {
-            const roll = new Roll(formula, actor.getRollData());
-            roll.toMessage({ speaker: ChatMessage.getSpeaker({ actor }) });
+            const rollMode = getActionRollMode("inline");
+            const rollOptions = await getRollOptions(ev, actor, { title: formula, rollMode });
+            if (rollOptions === false) return;
+            const full = applyRollOptions(formula, rollOptions);
+            try {
+              const roll = new Roll(full, actor.getRollData());
+              await roll.toMessage(
+                { speaker: ChatMessage.getSpeaker({ actor }) },
+                { rollMode: rollOptions?.rollMode ?? rollMode }
+              );
+            } catch (err) {
+              console.error("[GM HUD] Inline roll failed:", full, err);
+              ui.notifications?.warn(`Could not roll "${full}": check the bonus`);
+            }
+          }
+          return;
+        }
+
+        // Pin this token's HUD so it stays open after deselecting
+        const pinBtn = ev.target.closest("[data-action='pin-hud']");
+        if (pinBtn) {
+          stop(ev);
+          if (this.token) this._onPinToken?.(this.token, this.element.getBoundingClientRect());
+          return;
+        }
+
+        // Close a pinned HUD
+        const closeBtn = ev.target.closest("[data-action='close-hud']");
+        if (closeBtn) {
+          stop(ev);
+          await this.close();
+          return;
+        }
+
+        // Damage entry - apply the typed damage through the thresholds
+        const applyDamageBtn = ev.target.closest("[data-action='apply-damage']");
+        if (applyDamageBtn) {
+          stop(ev);
+          await this._applyDamageFromInput();
+          return;
+        }
+
+        // Combat turn controls
+        const combatBtn = ev.target.closest("[data-action^='combat-']");
+        if (combatBtn) {
+          stop(ev);
+          await this._onCombatControl(combatBtn.dataset.action);
+          return;
+        }
+
+        // Roster entry - switch the HUD to another selected adversary
+        const rosterEntry = ev.target.closest("[data-action='roster-select']");
+        if (rosterEntry) {
+          stop(ev);
+          const tokenId = rosterEntry.dataset.tokenId;
+          if (tokenId && tokenId !== (this.token?.id ?? null)) {
+            this._onSelectToken?.(tokenId);
           }
           return;
         }
@@ -766,6 +1223,24 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
           return;
         }
 
+        // Countdown (right-click): tick back up
+        const countdownRing = ev.target.closest("[data-action='countdown-tick']");
+        if (countdownRing) {
+          stop(ev);
+          const id = countdownRing.closest("[data-countdown-id]")?.dataset.countdownId;
+          if (id) await tickCountdown(this._countdownOwners(), id, -1);
+          return;
+        }
+
+        // Damage roll (right-click): ask for normal or critical damage
+        const damageBtn = ev.target.closest("[data-action='roll-damage']");
+        if (damageBtn) {
+          stop(ev);
+          const critical = await this._promptCriticalDamage();
+          if (critical !== null) await this._rollDamage({ critical });
+          return;
+        }
+
         // Resource adjustments (HP/Stress) - right-click decreases
         const valueEl = ev.target.closest(".dgm-count .value");
         if (valueEl) {
@@ -773,13 +1248,15 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
           
           const bind = valueEl.dataset.bind;
           if (bind === "hp") {
-            const max = Number(actor.system?.resources?.hitPoints?.max ?? 0);
-            await this._adjustResource(actor, "system.resources.hitPoints.value", -1, { min: 0, max });
+            await this._adjustResource(actor, "hitPoints", -1);
             return;
           }
           if (bind === "stress") {
-            const max = Number(actor.system?.resources?.stress?.max ?? 0);
-            await this._adjustResource(actor, "system.resources.stress.value", -1, { min: 0, max });
+            await this._adjustResource(actor, "stress", -1);
+            return;
+          }
+          if (bind === "fear") {
+            await adjustFear(-1, { actor });
             return;
           }
         }
@@ -796,18 +1273,44 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
           
           const bind = valueEl.dataset.bind;
           if (bind === "hp") {
-            const max = Number(actor.system?.resources?.hitPoints?.max ?? 0);
-            await this._adjustResource(actor, "system.resources.hitPoints.value", +1, { min: 0, max });
+            await this._adjustResource(actor, "hitPoints", +1);
             return;
           }
           if (bind === "stress") {
-            const max = Number(actor.system?.resources?.stress?.max ?? 0);
-            await this._adjustResource(actor, "system.resources.stress.value", +1, { min: 0, max });
+            await this._adjustResource(actor, "stress", +1);
+            return;
+          }
+          if (bind === "fear") {
+            await adjustFear(+1, { actor });
             return;
           }
         }
       }, true);
 
+      // New countdown form
+      rootEl.addEventListener("submit", async (ev) => {
+        const form = ev.target.closest(".dgm-countdown-form");
+        if (!form) return;
+        stop(ev);
+        await this._createCountdownFromForm(form);
+      });
+
+      // Roll visibility selectors remember the mode per action; template expiry for new templates
+      rootEl.addEventListener("change", async (ev) => {
+        const expiryInput = ev.target.closest("[data-template-expiry]");
+        if (expiryInput) {
+          ev.stopPropagation();
+          await this.setTemplateExpiry({ [expiryInput.dataset.templateExpiry]: expiryInput.value });
+          expiryInput.closest(".dgm-range-expiry")?.setAttribute("data-mode", this.templateExpiry.mode);
+          return;
+        }
+
+        const select = ev.target.closest("[data-rollmode-action]");
+        if (!select) return;
+        ev.stopPropagation();
+        await setActionRollMode(select.dataset.rollmodeAction, select.value);
+      });
+
       // Double-click to open actor sheet
       rootEl.addEventListener("dblclick", async (ev) => {
         const actor = this.actor;
@@ -829,35 +1332,120 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
         if (!rootEl.contains(ev.target)) {
           const shell = rootEl.querySelector(".dgm-hud");
           shell?.setAttribute("data-open", "");
-          const toggle = rootEl.querySelector("[data-action='toggle-features']");
-          toggle?.setAttribute("aria-expanded", "false");
+          rootEl.querySelectorAll("[data-action='toggle-features'], [data-action='toggle-countdowns']")
+            .forEach(toggle => toggle.setAttribute("aria-expanded", "false"));
         }
       };
       document.addEventListener("pointerdown", onDocClick, { capture: true });
+      this._onDocClick = onDocClick;
 
-      // Close panels on ESC
-      rootEl.addEventListener("keydown", (ev) => {
+      // Close panels on ESC, apply typed damage on Enter
+      rootEl.addEventListener("keydown", async (ev) => {
+        if (ev.key === "Enter" && ev.target.closest(".dgm-damage-input")) {
+          stop(ev);
+          await this._applyDamageFromInput();
+          return;
+        }
         if (ev.key === "Escape") {
           const shell = rootEl.querySelector(".dgm-hud");
           shell?.setAttribute("data-open", "");
-          const toggle = rootEl.querySelector("[data-action='toggle-features']");
-          toggle?.setAttribute("aria-expanded", "false");
+          rootEl.querySelectorAll("[data-action='toggle-features'], [data-action='toggle-countdowns']")
+            .forEach(toggle => toggle.setAttribute("aria-expanded", "false"));
         }
       });
 
       this._delegatedBound = true;
     }
 
-  async _adjustResource(actor, path, delta, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
-    const current = Number(foundry.utils.getProperty(actor, path) ?? 0);
-    const next = Math.min(max, Math.max(min, current + delta));
-    if (next === current) return;
-    
-    const update = {};
-    foundry.utils.setProperty(update, path, next);
-    await actor.update(update);
-    
-    debugLog("Resource adjusted:", path, "from", current, "to", next);
+  async _onCombatControl(action) {
+    const combat = getActiveCombat();
+    if (!combat) return;
+
+    try {
+      switch (action) {
+        case "combat-prev":
+          await combat.previousTurn();
+          break;
+        case "combat-next":
+          await combat.nextTurn();
+          break;
+        case "combat-defeated": {
+          const combatant = getCombatantForToken(this.token, combat);
+          if (combatant) await setCombatantDefeated(combatant, !combatant.defeated);
+          break;
+        }
+      }
+    } catch (err) {
+      console.error("[GM HUD] Combat control failed", err);
+      ui.notifications?.error("Combat control failed (see console)");
+    }
+  }
+
+  _prepareCombat() {
+    if (!getSetting(SETTINGS.followCombat)) return null;
+
+    const combat = getActiveCombat();
+    const combatant = getCombatantForToken(this.token, combat);
+    if (!combatant) return null;
+
+    return {
+      round: combat.round,
+      isCurrent: combat.combatant?.id === combatant.id,
+      defeated: combatant.isDefeated ?? combatant.defeated
+    };
+  }
+
+  /**
+   * Defeated overlay actions: take the token off the scene, or bring it back
+   * with one HP cleared so Auto Defeated doesn't defeat it again
+   */
+  async _onDefeatedAction(action) {
+    const tokenDoc = this.token?.document ?? this.token;
+    if (!tokenDoc) return;
+
+    try {
+      if (action === "defeated-remove") {
+        await tokenDoc.delete();
+        return;
+      }
+
+      await setTokenDefeated(tokenDoc, false);
+      if (hasMarkedAllHitPoints(this.actor)) await this._adjustResource(this.actor, "hitPoints", -1);
+    } catch (err) {
+      console.error("[GM HUD] Defeated action failed", err);
+      ui.notifications?.error("Defeated action failed (see console)");
+    }
+  }
+
+  async _applyDamageFromInput() {
+    const input = this.element?.querySelector(".dgm-damage-input");
+    const damage = Number(input?.value);
+    if (!input || !Number.isFinite(damage) || damage <= 0) return;
+
+    input.value = "";
+
+    // Minions are defeated by any damage, and the excess spills over to the group
+    if (isMinion(this.actor)) {
+      const result = await applyMinionDamage(damage, { token: this.token });
+      this._showDamageResult(formatMinionResult(result));
+      return;
+    }
+
+    const result = await applyDamageToActor(this.actor, damage, { token: this.token });
+    this._showDamageResult(formatDamageResult(result));
+  }
+
+  _showDamageResult(text) {
+    const el = this.element?.querySelector(".dgm-damage-result");
+    if (!el) return;
+
+    el.textContent = text;
+    clearTimeout(this._damageResultTimer);
+    this._damageResultTimer = setTimeout(() => { el.textContent = ""; }, 6000);
+  }
+
+  async _adjustResource(actor, resource, delta) {
+    return adjustActorResource(actor, resource, delta, { token: this.token });
   }
 
   async _sendFeatureToChat(item) {
@@ -866,13 +1454,122 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
     debugLog("Sending feature to chat:", item.name);
     
     try {
-      await sendItemToChat(item, this.actor);
+      await withMessageRollMode(getActionRollMode("featureChat"), () => sendItemToChat(item, this.actor));
     } catch (err) {
       console.error("[GM HUD] Send to chat failed", err);
       ui.notifications?.error("Failed to send to chat");
     }
   }
 
+  /** Minion (X) value and how many of the token's minion group still stand */
+  _prepareMinion() {
+    if (!isMinion(this.actor)) return null;
+    return {
+      threshold: getMinionThreshold(this.actor),
+      ...getMinionGroupCount(this.token)
+    };
+  }
+
+  /** Tokens of this HUD's minion group (empty for other adversaries) */
+  get minionGroup() {
+    return getMinionGroup(this.token);
+  }
+
+  _prepareRollModes() {
+    return prepareRollModes();
+  }
+
+  _prepareFear() {
+    return getFear();
+  }
+
+  /** Documents holding this HUD's countdowns: the actor (token and feature ones) and the token's scene */
+  _countdownOwners() {
+    return { actor: this.actor, scene: this.token?.parent ?? canvas.scene ?? null };
+  }
+
+  _prepareCountdowns() {
+    return prepareCountdowns(this._countdownOwners());
+  }
+
+  async _onCountdownAction(button) {
+    const owners = this._countdownOwners();
+    const action = button.dataset.action;
+
+    if (action === "countdown-start-feature") {
+      const item = this.actor?.items.get(button.dataset.featureId);
+      const max = getFeatureCountdown(item);
+      if (item && max) await createCountdown(owners, { name: item.name, max, scope: "feature", featureId: item.id });
+      return;
+    }
+
+    const id = button.closest("[data-countdown-id]")?.dataset.countdownId;
+    if (!id) return;
+
+    if (action === "countdown-tick") {
+      const countdown = findCountdown(owners, id)?.countdown;
+      if (!countdown) return;
+      const amount = countdown.mode === "dynamic" ? await promptCountdownTick(countdown) : 1;
+      if (amount) await tickCountdown(owners, id, amount);
+    }
+    else if (action === "countdown-reset") await resetCountdown(owners, id);
+    else if (action === "countdown-delete") await deleteCountdown(owners, id);
+  }
+
+  async _createCountdownFromForm(form) {
+    const elements = form.elements;
+    const max = Number(elements.max.value);
+    if (!(max > 0)) {
+      ui.notifications?.warn("A countdown needs a start value of at least 1");
+      return;
+    }
+
+    await createCountdown(this._countdownOwners(), {
+      name: elements.name.value,
+      max,
+      scope: elements.scope.value,
+      mode: elements.mode.value
+    });
+  }
+
+  /** Patch the Fear counter in place after the system's Fear changes */
+  _refreshFear() {
+    const fearEl = this.element?.querySelector(".dgm-count .value[data-bind='fear']");
+    if (!fearEl) return;
+    const { value, max } = getFear();
+    fearEl.textContent = `${value}/${max}`;
+  }
+
+  _prepareHistory() {
+    return prepareHistory(this.token);
+  }
+
+  _prepareRoster() {
+    if (!Array.isArray(this.roster) || this.roster.length < 2) return [];
+
+    const pips = (value, max) => Array.from({ length: Math.max(0, max) }, (_, i) => i < value);
+
+    return this.roster
+      .filter(token => token?.actor)
+      .map(token => {
+        const sys = token.actor.system ?? {};
+        const hpValue = Number(sys.resources?.hitPoints?.value ?? 0);
+        const hpMax = Number(sys.resources?.hitPoints?.max ?? 0);
+        const stressValue = Number(sys.resources?.stress?.value ?? 0);
+        const stressMax = Number(sys.resources?.stress?.max ?? 0);
+
+        return {
+          tokenId: token.id,
+          name: token.name ?? token.actor.name,
+          img: token.document?.texture?.src || token.actor.img || "icons/svg/mystery-man.svg",
+          difficulty: Number(sys.difficulty ?? 10),
+          hpPips: pips(hpValue, hpMax),
+          stressPips: pips(stressValue, stressMax),
+          active: token.id === this.token?.id
+        };
+      });
+  }
+
   async _prepareContext(_options) {
     const actor = this.actor ?? null;
     
@@ -898,12 +1595,7 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
     
     // Basic info
     const adversaryName = actor.name ?? "Unnamed Adversary";
-    
-    // Portrait priority: token -> actor -> prototype -> default
-    let portrait = "icons/svg/mystery-man.svg";
-    if (this.token?.texture?.src) portrait = this.token.texture.src;
-    else if (actor.img?.trim()) portrait = actor.img;
-    else if (actor.prototypeToken?.texture?.src) portrait = actor.prototypeToken.texture.src;
+    const portrait = this._preparePortrait(actor);
 
     const tier = Number(sys.tier ?? 1);
     const difficulty = Number(sys.difficulty ?? 10);
@@ -926,52 +1618,12 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
     };
 
     // Primary attack - with damage type detection
-    let primaryAttack = null;
-    if (sys.attack) {
-      // Extract damage type from the first damage part
-      let damageType = null;
-      let damageTypeIcon = null;
-      
-      if (sys.attack.damage?.parts?.length > 0) {
-        const firstPart = sys.attack.damage.parts[0];
-        if (firstPart.type && firstPart.type.size > 0) {
-          // Extract first value from Set
-          damageType = [...firstPart.type][0].toLowerCase();
-          
-          // Map damage types to icons
-          switch(damageType) {
-            case 'physical':
-              damageTypeIcon = 'fa-solid fa-hand-fist';
-              break;
-            case 'magical':
-            case 'magic':
-              damageTypeIcon = 'fa-solid fa-wand-magic-sparkles';
-              break;
-            default:
-              damageTypeIcon = null;
-          }
-        }
-      }
-
-      const rangeKey = sys.attack.range || "close";
-      const rangeShort = game.i18n.localize(`DAGGERHEART.CONFIG.Range.${rangeKey}.short`);
-      const rangeName = game.i18n.localize(`DAGGERHEART.CONFIG.Range.${rangeKey}.name`);
-
-      primaryAttack = {
-        id: sys.attack._id || "primary",
-        name: sys.attack.name || "Attack",
-        img: sys.attack.img || "icons/svg/sword.svg",
-        bonus: Number(sys.attack.roll?.bonus ?? 0),
-        range: rangeKey,
-        rangeShort: rangeShort,
-        rangeName: rangeName,
-        damage: sys.attack.damage,
-        damageType: damageType,
-        damageTypeIcon: damageTypeIcon,
-        damageTypeName: damageType ? game.i18n.localize(`DAGGERHEART.CONFIG.DamageType.${damageType.toLowerCase()}.name`) : ""
-
-      };
+    const primaryAttack = this._prepareSelectedAttack();
+    if (primaryAttack?.key === "primary") primaryAttack.horde = getHordeDamage(actor);
+    if (primaryAttack?.horde?.reduced) {
+      primaryAttack.damageParts = [{ formula: primaryAttack.horde.formula, types: primaryAttack.damageParts[0]?.types ?? [] }];
     }
+    this._hordeReduced = primaryAttack?.horde?.reduced ?? false;
 
     // Text content
     const motivesAndTactics = sys.motivesAndTactics || "";
@@ -992,14 +1644,107 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
     };
 
     // Features section:
+    const features = await this._prepareFeatures(actor);
+
+    return {
+      adversaryName,
+      portrait,
+      tier,
+      description,
+      systemType,
+      difficulty,
+      hp,
+      stress,
+      primaryAttack,
+      motivesAndTactics,
+      experiences,
+      thresholds,
+      features,
+      pinned: this.pinned,
+      combat: this._prepareCombat(),
+      defeated: isTokenDefeated(this.token),
+      minion: this._prepareMinion(),
+      roster: this._prepareRoster(),
+      fear: this._prepareFear(),
+      countdowns: this._prepareCountdowns(),
+      history: this._prepareHistory(),
+      rollModes: this._prepareRollModes()
+    };
+  }
+
+  /**
+   * The attack shown in the attack section (the carousel's pick), with the
+   * carousel position when there is more than one attack to choose from
+   */
+  _prepareSelectedAttack() {
+    const options = this._getAttackOptions();
+    const selected = this._getSelectedAttack();
+    const attack = this._prepareAttack(selected?.action, selected?.item);
+    if (!attack) return null;
+
+    attack.key = selected.key;
+    attack.source = selected.item?.name ?? "";
+    attack.picker = options.length > 1
+      ? { index: options.indexOf(selected) + 1, count: options.length }
+      : null;
+    attack.rangeBands = prepareRangeBands(attack.range, {
+      scene: this.token?.parent ?? canvas?.scene,
+      token: this.token?.object ?? null
+    });
+    attack.templateExpiry = this._prepareTemplateExpiry();
+    return attack;
+  }
+
+  /** Expiry choices for new range templates, with the user's current pick */
+  _prepareTemplateExpiry() {
+    const { mode, rounds } = this.templateExpiry;
+    return {
+      mode,
+      rounds: Math.max(1, Number(rounds) || 1),
+      choices: Object.entries(TEMPLATE_EXPIRY).map(([value, label]) => ({ value, label, selected: value === mode }))
+    };
+  }
+
+  _prepareAttack(attack, item = null) {
+    if (!attack) return null;
+
+    // Every damage part with its own types; the first type stays the headline one
+    const damageParts = getDamageParts(attack.damage);
+    const firstType = damageParts[0]?.types[0] ?? null;
+
+    const rangeKey = attack.range || "close";
+    const rangeShort = game.i18n.localize(`DAGGERHEART.CONFIG.Range.${rangeKey}.short`);
+    const rangeName = game.i18n.localize(`DAGGERHEART.CONFIG.Range.${rangeKey}.name`);
+
+    return {
+      id: attack._id || "primary",
+      name: attack.name || "Attack",
+      img: attack.img || item?.img || "icons/svg/sword.svg",
+      bonus: Number(attack.roll?.bonus ?? 0),
+      range: rangeKey,
+      rangeShort: rangeShort,
+      rangeName: rangeName,
+      damage: attack.damage,
+      damageParts,
+      damageType: firstType?.key ?? null,
+      damageTypeIcon: firstType?.icon || null,
+      damageTypeName: firstType?.name ?? ""
+    };
+  }
+
+  _preparePortrait(actor) {
+    // Portrait priority: token -> actor -> prototype -> default
+    if (this.token?.texture?.src) return this.token.texture.src;
+    if (actor.img?.trim()) return actor.img;
+    if (actor.prototypeToken?.texture?.src) return actor.prototypeToken.texture.src;
+    return "icons/svg/mystery-man.svg";
+  }
+
+  async _prepareFeatures(actor) {
     const featureItems = actor.items.filter(item => item.type === "feature");
-    const features = await Promise.all(
+    return Promise.all(
       featureItems.map(async (item) => {
-        // Step 1: Enrich with Foundry (handles @UUID, @Template, etc.)
-        const enrichedHTML = await enrichItemDescription(item);
-        
-        // Step 2: Convert inline rolls to clickable buttons
-        const finalHTML = toHudInlineButtons(enrichedHTML, { enableDuality: true });
+        const finalHTML = await this._getFeatureDescription(item);
         
         const hasActions = featureHasActions(item);
         
@@ -1009,27 +1754,30 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
           img: item.img || "icons/svg/aura.svg", 
           description: finalHTML,
           hasActions: hasActions,
+          fearCost: hasActions ? getFeatureFearCost(item) : 0,
           system: item.system,
           _item: item
         };
       })
     );
+  }
 
-    return {
-      adversaryName,
-      portrait,
-      tier,
-      description,
-      systemType,
-      difficulty,
-      hp,
-      stress,
-      primaryAttack,
-      motivesAndTactics,
-      experiences,
-      thresholds,
-      features
-    };
+  /**
+   * Enriched feature description, cached until the raw description changes
+   */
+  async _getFeatureDescription(item) {
+    const raw = item.system?.description ?? "";
+    const cached = this._descriptionCache.get(item.id);
+    if (cached && cached.raw === raw) return cached.html;
+
+    // Step 1: Enrich with Foundry (handles @UUID, @Template, etc.)
+    const enrichedHTML = await enrichItemDescription(item);
+
+    // Step 2: Convert inline rolls to clickable buttons
+    const html = toHudInlineButtons(enrichedHTML, { enableDuality: true });
+
+    this._descriptionCache.set(item.id, { raw, html });
+    return html;
   }
 
   async _onRender() {
@@ -1052,6 +1800,14 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
 
     // Update range button states
     this._updateAllRangeButtonStates();
+    this._updateRangePreviewButtons();
+    this._watchRangePanel();
+
+    // Bring back panels/details/scroll from before a re-render
+    this._restoreUIState(this._uiState);
+    this._uiState = null;
+
+    Hooks.callAll(HUD_HOOKS.render, this.actor, { hud: this, token: this.token, element: root });
 
     debugLog("GM HUD render complete");
   }
@@ -1061,7 +1817,7 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
     if (!root) return;
 
     try {
-      const savedPos = await game.user.getFlag("daggerheart-gm-hud", "hudPosition");
+      const savedPos = await game.user.getFlag("daggerheart-gm-hud", this.positionFlagKey);
       if (savedPos && savedPos.left !== undefined && savedPos.top !== undefined) {
         root.style.position = "fixed"; // Use fixed instead of absolute
         root.style.left = `${Math.max(0, Math.min(savedPos.left, window.innerWidth - 200))}px`;
@@ -1081,6 +1837,63 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
     }
   }
 
+  /** The token placeable ranges are measured from */
+  _rangeOrigin() {
+    return this.token?.object ?? canvas.tokens?.controlled[0] ?? null;
+  }
+
+  /** Show the panel's range preview for a band, or hide it when it is the one showing */
+  _toggleRangePreview(range) {
+    const token = this._rangeOrigin();
+    if (!token) return;
+
+    const current = getRangePreview();
+    if (current?.source === "panel" && current.tokenId === token.id && current.range === range) clearRangePreview();
+    else showRangePreview(token, range, { source: "panel" });
+    this._updateRangePreviewButtons();
+  }
+
+  /** Preview the selected attack's range while the keybinding is held */
+  _previewAttackRange() {
+    const token = this._rangeOrigin();
+    if (!token) return false;
+    showRangePreview(token, this._getSelectedAttack()?.action?.range || "close", { source: "key" });
+    return true;
+  }
+
+  /** Target every token within a range band */
+  _targetRange(range) {
+    const token = this._rangeOrigin();
+    if (!token) return;
+
+    const tokens = targetTokensInRange(token, range);
+    const name = game.i18n.localize(`DAGGERHEART.CONFIG.Range.${normalizeRange(range) ?? range}.name`);
+    ui.notifications?.info(`Targeted ${tokens.length} token${tokens.length === 1 ? "" : "s"} within ${name}`);
+  }
+
+  _updateRangePreviewButtons() {
+    const current = getRangePreview();
+    this.element?.querySelectorAll("[data-action='range-preview']").forEach(button => {
+      const active = current?.source === "panel" && current.tokenId === this._rangeOrigin()?.id
+        && current.range === button.dataset.range;
+      button.classList.toggle("active", active);
+    });
+  }
+
+  /** Drop the panel's range preview whenever the range panel closes, however it closes */
+  _watchRangePanel() {
+    this._rangePanelObserver?.disconnect();
+    const shell = this.element?.querySelector(".dgm-hud");
+    if (!shell) return;
+
+    this._rangePanelObserver = new MutationObserver(() => {
+      if (shell.getAttribute("data-open") === "range") return;
+      clearRangePreview({ source: "panel", tokenId: this._rangeOrigin()?.id });
+      this._updateRangePreviewButtons();
+    });
+    this._rangePanelObserver.observe(shell, { attributes: true, attributeFilter: ["data-open"] });
+  }
+
   _updateAllRangeButtonStates() {
     const rangeButtons = this.element.querySelectorAll('[data-action="create-range-template"]');
     rangeButtons.forEach(button => {
@@ -1159,7 +1972,7 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
           left: Math.round(rect.left),
           top: Math.round(rect.top)
         };
-        await game.user.setFlag("daggerheart-gm-hud", "hudPosition", pos);
+        await game.user.setFlag("daggerheart-gm-hud", this.positionFlagKey, pos);
         debugLog("Saved HUD position:", pos);
       } catch (err) {
         debugLog("Failed to save position:", err);
@@ -1188,7 +2001,7 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
       if (ev.button !== 0) return;
       
       // Don't drag if clicking on interactive elements
-      if (ev.target.closest(".dgm-roll, .dgm-count .value, .dgm-features-toggle")) return;
+      if (ev.target.closest(".dgm-roll, .dgm-count .value, .dgm-features-toggle, .dgm-countdowns-toggle, .dgm-pin-toggle, .dgm-defeated-btn")) return;
       
       ev.preventDefault();
       isDragging = true;
@@ -1300,6 +2113,13 @@ export class DaggerheartGMHUD extends HandlebarsApplicationMixin(ApplicationV2)
       this._onResize = null;
       this._resizeHandlerBound = false;
     }
+    if (this._onDocClick) {
+      document.removeEventListener("pointerdown", this._onDocClick, { capture: true });
+      this._onDocClick = null;
+    }
+    this._rangePanelObserver?.disconnect();
+    clearRangePreview({ source: "panel", tokenId: this.token?.id });
+    this._delegatedBound = false;
     return super.close(opts);
   }
 }
\ No newline at end of file
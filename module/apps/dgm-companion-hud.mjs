@@ -0,0 +1,91 @@
+// module/apps/dgm-companion-hud.mjs - GM Companion HUD Application V2
+
+import { debugLog } from "../settings.mjs";
+import { DaggerheartGMHUD } from "./dgm-adversary-hud.mjs";
+
+// Companions level alongside their partner, from 1 to 10
+const COMPANION_MAX_LEVEL = 10;
+
+/**
+ * HUD layout for Daggerheart companion actors. Stress clicks and the
+ * attack/damage roll pipeline come straight from the adversary HUD.
+ */
+export class DaggerheartCompanionHUD extends DaggerheartGMHUD {
+  static PARTS = {
+    body: {
+      template: "modules/daggerheart-gm-hud/templates/hud-companion.hbs",
+      templates: DaggerheartGMHUD.SHARED_PARTIALS
+    }
+  };
+
+  /**
+   * Level-up track: one step per level, with the upgrades picked at that level
+   */
+  _prepareLevelTrack(sys) {
+    const levelData = sys.levelData ?? {};
+    const current = Number(levelData.level?.current ?? 1);
+    const levelups = levelData.levelups ?? {};
+
+    return Array.from({ length: COMPANION_MAX_LEVEL }, (_, i) => {
+      const level = i + 1;
+      const selections = Object.values(levelups[level]?.selections ?? {})
+        .map(selection => selection?.name ?? selection?.type)
+        .filter(Boolean);
+
+      return {
+        level,
+        reached: level <= current,
+        current: level === current,
+        selections: selections.join(", ")
+      };
+    });
+  }
+
+  async _prepareContext(_options) {
+    const actor = this.actor ?? null;
+
+    debugLog("Preparing companion context for actor:", actor?.name);
+
+    if (!actor) {
+      return {
+        adversaryName: "No Actor",
+        portrait: "icons/svg/mystery-man.svg",
+        evasion: 0,
+        stress: { value: 0, max: 0 },
+        primaryAttack: null,
+        experiences: [],
+        levelTrack: [],
+        features: []
+      };
+    }
+
+    const sys = actor.system ?? {};
+    const partner = sys.partner ?? null;
+
+    return {
+      adversaryName: actor.name ?? "Unnamed Companion",
+      portrait: this._preparePortrait(actor),
+      partnerName: partner?.name ?? "",
+      level: Number(sys.levelData?.level?.current ?? 1),
+      evasion: Number(sys.evasion?.value ?? sys.evasion ?? 0),
+      stress: {
+        value: Number(sys.resources?.stress?.value ?? 0),
+        max: Number(sys.resources?.stress?.max ?? 0)
+      },
+      primaryAttack: this._prepareSelectedAttack(),
+      description: sys.description || "",
+      experiences: Object.entries(sys.experiences || {}).map(([id, exp]) => ({
+        id,
+        name: exp.name || "Unnamed Experience",
+        value: Number(exp.value ?? 0),
+        description: exp.description || ""
+      })),
+      levelTrack: this._prepareLevelTrack(sys),
+      features: await this._prepareFeatures(actor),
+      pinned: this.pinned,
+      roster: this._prepareRoster(),
+      history: this._prepareHistory(),
+      rollModes: this._prepareRollModes()
+    };
+  }
+}
@@ -0,0 +1,128 @@
+// module/apps/dgm-environment-hud.mjs - GM Environment HUD Application V2
+
+import { debugLog } from "../settings.mjs";
+import { L } from "../helpers/i18n.mjs";
+import { enrichDocumentText, toHudInlineButtons } from "../helpers/inline-rolls.mjs";
+import { DaggerheartGMHUD } from "./dgm-adversary-hud.mjs";
+
+/**
+ * HUD layout for Daggerheart environment actors. Reuses the adversary HUD
+ * behaviour (dragging, pinning, features panel, roster) with its own template.
+ */
+export class DaggerheartEnvironmentHUD extends DaggerheartGMHUD {
+  static PARTS = {
+    body: {
+      template: "modules/daggerheart-gm-hud/templates/hud-environment.hbs",
+      templates: DaggerheartGMHUD.SHARED_PARTIALS
+    }
+  };
+
+  /**
+   * Resolve the environment's potential adversaries into draggable entries.
+   * Groups hold either resolved Actors or (for missing documents) raw UUIDs.
+   */
+  _preparePotentialAdversaries(sys) {
+    const groups = Object.values(sys.potentialAdversaries ?? {});
+
+    return groups
+      .map(group => {
+        const entries = [...(group?.adversaries ?? [])]
+          .map(entry => {
+            const doc = typeof entry === "string" ? fromUuidSync(entry) : entry;
+            const uuid = doc?.uuid ?? (typeof entry === "string" ? entry : null);
+            if (!uuid) return null;
+            return {
+              uuid,
+              name: doc?.name ?? uuid,
+              img: doc?.img || "icons/svg/mystery-man.svg"
+            };
+          })
+          .filter(Boolean);
+
+        return { label: group?.label || "", adversaries: entries };
+      })
+      .filter(group => group.adversaries.length > 0);
+  }
+
+  /**
+   * Environment rich text (description, impulses) enriched like feature
+   * descriptions: links resolved, inline rolls as HUD buttons, content sanitised
+   */
+  async _enrichText(actor, raw) {
+    const html = await enrichDocumentText(actor, raw ?? "");
+    return html ? toHudInlineButtons(html, { enableDuality: true }) : "";
+  }
+
+  async _prepareContext(_options) {
+    const actor = this.actor ?? null;
+
+    debugLog("Preparing environment context for actor:", actor?.name);
+
+    if (!actor) {
+      return {
+        adversaryName: "No Actor",
+        portrait: "icons/svg/mystery-man.svg",
+        tier: 0,
+        difficulty: 0,
+        environmentType: null,
+        impulses: "",
+        potentialAdversaries: [],
+        features: []
+      };
+    }
+
+    const sys = actor.system ?? {};
+    const typeRaw = String(sys.type ?? "").toLowerCase();
+
+    return {
+      adversaryName: actor.name ?? "Unnamed Environment",
+      portrait: this._preparePortrait(actor),
+      tier: Number(sys.tier ?? 1),
+      difficulty: Number(sys.difficulty ?? 10),
+      environmentType: typeRaw ? {
+        raw: typeRaw,
+        label: L(`DAGGERHEART.CONFIG.EnvironmentType.${typeRaw}.label`, typeRaw.charAt(0).toUpperCase() + typeRaw.slice(1)),
+        description: L(`DAGGERHEART.CONFIG.EnvironmentType.${typeRaw}.description`, "")
+      } : null,
+      description: await this._enrichText(actor, sys.description),
+      impulses: await this._enrichText(actor, sys.impulses),
+      potentialAdversaries: this._preparePotentialAdversaries(sys),
+      features: await this._prepareFeatures(actor),
+      pinned: this.pinned,
+      roster: this._prepareRoster(),
+      fear: this._prepareFear(),
+      countdowns: this._prepareCountdowns(),
+      history: this._prepareHistory(),
+      rollModes: this._prepareRollModes()
+    };
+  }
+
+  _bindDelegatedEvents() {
+    const firstBind = !this._delegatedBound;
+    super._bindDelegatedEvents();
+
+    const rootEl = this.element;
+    if (!rootEl || !firstBind) return;
+
+    // Potential adversaries can be dropped onto the canvas to create tokens
+    rootEl.addEventListener("dragstart", (ev) => {
+      const entry = ev.target.closest?.("[data-drag-uuid]");
+      if (!entry) return;
+
+      const dragData = { type: "Actor", uuid: entry.dataset.dragUuid };
+      ev.dataTransfer.setData("text/plain", JSON.stringify(dragData));
+      debugLog("Dragging potential adversary:", dragData.uuid);
+    });
+
+    // Clicking a potential adversary opens its sheet
+    rootEl.addEventListener("click", async (ev) => {
+      const entry = ev.target.closest("[data-action='open-adversary']");
+      if (!entry) return;
+      ev.preventDefault();
+      ev.stopPropagation();
+
+      const doc = await fromUuid(entry.dataset.dragUuid);
+      doc?.sheet?.render(true, { focus: true });
+    });
+  }
+}
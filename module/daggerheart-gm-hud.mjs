@@ -2,19 +2,58 @@
 
 import { registerGMHUDSettings, getSetting, SETTINGS, debugLog, getCurrentTheme, applyThemeToElement } from "./settings.mjs";
 import { DaggerheartGMHUD } from "./apps/dgm-adversary-hud.mjs";
+import { DaggerheartEnvironmentHUD } from "./apps/dgm-environment-hud.mjs";
+import { DaggerheartCompanionHUD } from "./apps/dgm-companion-hud.mjs";
 import { registerDHUDHelpers } from "./helpers/handlebars-helpers.mjs";
+import { getActiveCombat, getCurrentCombatantToken } from "./helpers/combat-utils.mjs";
+import { adjustActorResource, setActorResource } from "./helpers/resources.mjs";
+import { HUD_HOOKS } from "./helpers/hooks.mjs";
+import { applyDamageToActor } from "./helpers/damage.mjs";
+import { applyMinionDamage } from "./helpers/minions.mjs";
+import { registerChatDamageHooks } from "./helpers/chat-damage.mjs";
+import { registerAttackResolutionHooks } from "./helpers/attack-resolution.mjs";
+import { syncDefeatedFromHitPoints } from "./helpers/defeated.mjs";
+import { getFear, adjustFear, setFear, isFearSetting } from "./helpers/fear.mjs";
+import { countdownsChanged, getCountdowns, createCountdown, tickCountdown } from "./helpers/countdowns.mjs";
+import { registerRangePreviewHooks, clearRangePreview, getTokensInRange } from "./helpers/range-preview.mjs";
+import { registerTemplateHooks } from "./helpers/measured-templates.mjs";
+import { registerHistoryHooks, undoHistory, redoHistory, getHistory } from "./helpers/history.mjs";
 
 
 const MODULE_ID = "daggerheart-gm-hud";
 
 // Template paths
 const TEMPLATE_PATHS = [
-  `modules/${MODULE_ID}/templates/hud-adversary.hbs`
+  `modules/${MODULE_ID}/templates/hud-adversary.hbs`,
+  `modules/${MODULE_ID}/templates/hud-environment.hbs`,
+  `modules/${MODULE_ID}/templates/hud-companion.hbs`,
+  `modules/${MODULE_ID}/templates/parts/hud-attack.hbs`,
+  `modules/${MODULE_ID}/templates/parts/hud-features.hbs`,
+  `modules/${MODULE_ID}/templates/parts/hud-history.hbs`,
+  `modules/${MODULE_ID}/templates/parts/hud-pin-toggle.hbs`,
+  `modules/${MODULE_ID}/templates/parts/hud-range-panel.hbs`,
+  `modules/${MODULE_ID}/templates/parts/hud-roll-modes.hbs`,
+  `modules/${MODULE_ID}/templates/parts/hud-fear.hbs`,
+  `modules/${MODULE_ID}/templates/parts/hud-countdowns.hbs`,
+  `modules/${MODULE_ID}/templates/parts/hud-roster.hbs`
 ];
 
 // Global HUD instance
 let _gmHudApp = null;
 
+// Token the GM picked from the roster strip (overrides "last selected")
+let _focusedTokenId = null;
+
+// Pinned HUD instances, keyed by token id
+const _pinnedHuds = new Map();
+
+// HUD application class for each supported actor type
+const HUD_CLASSES = {
+  adversary: DaggerheartGMHUD,
+  environment: DaggerheartEnvironmentHUD,
+  companion: DaggerheartCompanionHUD
+};
+
 /**
  * Check if a token/actor is a valid Daggerheart adversary
  */
@@ -27,18 +66,67 @@ function isValidAdversary(token) {
 }
 
 /**
- * Get the currently controlled adversary token for GM
+ * Get the HUD application class for a token's actor, or null if it has no HUD
  */
-function getControlledAdversaryToken() {
-  if (!game.user.isGM) return null;
+function getHUDClass(token) {
+  const actor = token?.actor;
+  if (!actor || game.system?.id !== "daggerheart") return null;
+  return HUD_CLASSES[actor.type] ?? null;
+}
+
+/**
+ * Check if a token/actor gets a GM HUD (adversaries, environments and companions)
+ */
+function isHUDToken(token) {
+  return getHUDClass(token) !== null;
+}
+
+/**
+ * Get all currently controlled HUD tokens (adversaries, environments, companions) for GM, in selection order
+ */
+function getControlledAdversaryTokens() {
+  if (!game.user.isGM) return [];
   
   const controlledTokens = canvas.tokens?.controlled || [];
-  const adversaryTokens = controlledTokens.filter(isValidAdversary);
+  return controlledTokens.filter(isHUDToken);
+}
+
+/**
+ * Get the currently controlled HUD token for GM
+ */
+function getControlledAdversaryToken() {
+  const adversaryTokens = getControlledAdversaryTokens();
+  
+  // Prefer the token picked from the roster strip while it is still selected
+  const focused = adversaryTokens.find(t => t.id === _focusedTokenId);
+  if (focused) return focused;
   
   // Return the last selected adversary token (as per requirements)
   return adversaryTokens.length > 0 ? adversaryTokens[adversaryTokens.length - 1] : null;
 }
 
+/**
+ * Current combatant's adversary token when "Follow Active Combatant" is on
+ */
+function getCombatAdversaryToken() {
+  if (!game.user.isGM || !getSetting(SETTINGS.followCombat)) return null;
+  
+  const token = getCurrentCombatantToken();
+  return token && isValidAdversary(token) ? token : null;
+}
+
+/**
+ * Switch the HUD to another selected adversary without touching the canvas selection
+ */
+function focusAdversaryToken(tokenId) {
+  const token = getControlledAdversaryTokens().find(t => t.id === tokenId);
+  if (!token) return;
+  
+  debugLog("Focusing roster token:", token.name);
+  _focusedTokenId = token.id;
+  createOrUpdateGMHUD(token);
+}
+
 /**
  * Create or update the GM HUD for the given adversary token
  */
@@ -56,7 +144,7 @@ function createOrUpdateGMHUD(token = null) {
   }
   
   // Only create HUD if we have a valid adversary token
-  if (!token || !isValidAdversary(token)) {
+  if (!token || !isHUDToken(token)) {
     debugLog("No valid adversary token, not creating HUD");
     return;
   }
@@ -65,9 +153,14 @@ function createOrUpdateGMHUD(token = null) {
   
   try {
     // Create the actual HUD application instance
-    _gmHudApp = new DaggerheartGMHUD({ 
+    const roster = getControlledAdversaryTokens();
+    const HUDClass = getHUDClass(token);
+    _gmHudApp = new HUDClass({ 
       actor: token.actor, 
-      token: token.document || token 
+      token: token.document || token,
+      roster: roster.length > 1 ? roster : [],
+      onSelectToken: focusAdversaryToken,
+      onPinToken: pinGMHUD
     });
     _gmHudApp.render(true);
     
@@ -78,6 +171,133 @@ function createOrUpdateGMHUD(token = null) {
   }
 }
 
+/**
+ * Pin a HUD for the given token so it stays open independently of the selection
+ */
+async function pinGMHUD(token, fromRect = null) {
+  if (!game.user.isGM) return;
+  
+  const tokenDoc = token?.document ?? token;
+  if (!isHUDToken(tokenDoc)) return;
+  
+  // Already pinned - just bring it forward
+  const existing = _pinnedHuds.get(tokenDoc.id);
+  if (existing) {
+    existing.bringToFront?.();
+    return existing;
+  }
+  
+  debugLog("Pinning GM HUD for:", tokenDoc.name);
+  
+  try {
+    // First pin of this token: start next to the HUD it was pinned from
+    const flagKey = `pinnedPositions.${tokenDoc.id}`;
+    if (fromRect && !game.user.getFlag(MODULE_ID, flagKey)) {
+      await game.user.setFlag(MODULE_ID, flagKey, {
+        left: Math.round(fromRect.left),
+        top: Math.round(Math.max(0, fromRect.top - fromRect.height - 20))
+      });
+    }
+    
+    const HUDClass = getHUDClass(tokenDoc);
+    const app = new HUDClass({ 
+      actor: tokenDoc.actor, 
+      token: tokenDoc,
+      pinned: true
+    });
+    _pinnedHuds.set(tokenDoc.id, app);
+    app.render(true);
+    return app;
+  } catch (error) {
+    console.error("[GM HUD] Failed to pin HUD:", error);
+    ui.notifications?.error("Failed to pin GM HUD (see console)");
+  }
+}
+
+/**
+ * Close the pinned HUD of a token, if any
+ */
+function unpinGMHUD(tokenId) {
+  const app = _pinnedHuds.get(tokenId);
+  if (!app) return;
+  
+  debugLog("Unpinning GM HUD for token:", tokenId);
+  _pinnedHuds.delete(tokenId);
+  app.close({ force: true });
+}
+
+/**
+ * Refresh a HUD, logging a failed render instead of leaving it unhandled
+ */
+function refreshHUD(app, options) {
+  if (!app) return;
+  app.refresh(options).catch(err => {
+    console.error("[GM HUD] HUD refresh failed:", err);
+  });
+}
+
+/**
+ * Refresh every open HUD showing (or listing in its roster) the given actor
+ */
+function refreshHUDsForActor(actorId, changes = null) {
+  if (!actorId) return;
+  
+  const apps = [_gmHudApp, ..._pinnedHuds.values()].filter(Boolean);
+  for (const app of apps) {
+    if (app.actor?.id === actorId) {
+      refreshHUD(app, { changes });
+    } else if (app.roster?.some(t => t.actor?.id === actorId) || app.minionGroup?.some(t => t.actor?.id === actorId)) {
+      // Only the roster pips and the minion count depend on other actors
+      app._refreshResources();
+    }
+  }
+}
+
+/**
+ * Undo/redo shortcuts act on the token shown in the selection HUD
+ */
+function registerHistoryKeybindings() {
+  const onKey = (fn) => () => {
+    const token = _gmHudApp?.token;
+    if (!token) return false;
+    fn(token);
+    return true;
+  };
+
+  game.keybindings.register(MODULE_ID, "undoHistory", {
+    name: "Undo HUD Change",
+    hint: "Undo the last HP, Stress, feature use or template change the HUD made to the displayed token.",
+    editable: [{ key: "KeyZ", modifiers: ["Alt"] }],
+    onDown: onKey(undoHistory),
+    restricted: true
+  });
+
+  game.keybindings.register(MODULE_ID, "redoHistory", {
+    name: "Redo HUD Change",
+    hint: "Redo the last undone HUD change for the displayed token.",
+    editable: [{ key: "KeyZ", modifiers: ["Alt", "Shift"] }],
+    onDown: onKey(redoHistory),
+    restricted: true
+  });
+}
+
+/**
+ * Hold to preview the displayed adversary's attack range (client-side highlight)
+ */
+function registerRangePreviewKeybinding() {
+  game.keybindings.register(MODULE_ID, "previewRange", {
+    name: "Preview Attack Range",
+    hint: "Hold to highlight the tokens within the displayed adversary's attack range, tinted by disposition. Nothing is created in the scene; the highlight goes away on release.",
+    editable: [{ key: "KeyR", modifiers: ["Alt"] }],
+    onDown: () => _gmHudApp?._previewAttackRange() ?? false,
+    onUp: () => {
+      clearRangePreview({ source: "key" });
+      return true;
+    },
+    restricted: true
+  });
+}
+
 /**
  * Initialize the module
  */
@@ -87,7 +307,16 @@ Hooks.once("init", () => {
   // Register settings
   registerGMHUDSettings();
   registerDHUDHelpers();
+  registerChatDamageHooks();
+  registerAttackResolutionHooks();
+  registerHistoryHooks();
+  registerHistoryKeybindings();
+  registerRangePreviewHooks();
+  registerTemplateHooks();
+  registerRangePreviewKeybinding();
 
+  // Public API for macros and other modules (always available)
+  game.modules.get(MODULE_ID).api = DaggerheartGMHUDModule;
   
   debugLog("GM HUD module initialized");
 });
@@ -121,9 +350,10 @@ Hooks.on("controlToken", (token, controlled) => {
   
   debugLog("controlToken hook - Token:", token.actor?.name, "Controlled:", controlled);
   
-  if (controlled && isValidAdversary(token)) {
+  if (controlled && isHUDToken(token)) {
     // GM selected an adversary token
     debugLog("GM selected adversary token:", token.actor.name);
+    _focusedTokenId = token.id;
     createOrUpdateGMHUD(token);
   } else if (!controlled) {
     // Token was deselected - check if we still have other adversary tokens selected
@@ -133,19 +363,65 @@ Hooks.on("controlToken", (token, controlled) => {
       debugLog("Switching to another selected adversary:", remainingAdversary.actor.name);
       createOrUpdateGMHUD(remainingAdversary);
     } else if (!remainingAdversary) {
-      // No more adversaries selected - close HUD
+      // No more adversaries selected - fall back to the combatant, or close HUD
       debugLog("No more adversaries selected, closing HUD");
-      createOrUpdateGMHUD(null);
+      createOrUpdateGMHUD(getCombatAdversaryToken());
     }
   }
 });
 
-Hooks.on('updateToken', DaggerheartGMHUD.onUpdateToken);
+/**
+ * Templates can expire on their own; keep the range buttons' on/off state current
+ */
+Hooks.on("deleteMeasuredTemplate", (template) => {
+  if (!game.user.isGM || !template.flags?.[MODULE_ID]) return;
+  const apps = [_gmHudApp, ..._pinnedHuds.values()].filter(app => app?.rendered);
+  for (const app of apps) app._updateAllRangeButtonStates();
+});
+
+/**
+ * Forget pinned HUDs closed through their own close button
+ */
+Hooks.on("closeDaggerheartGMHUD", (app) => {
+  if (!app.pinned) return;
+  const tokenId = app.token?.id;
+  if (_pinnedHuds.get(tokenId) === app) _pinnedHuds.delete(tokenId);
+});
+
+/**
+ * Keep the undo history strip current on every HUD showing the token
+ */
+Hooks.on(HUD_HOOKS.historyChanged, (_actor, { tokenId }) => {
+  const apps = [_gmHudApp, ..._pinnedHuds.values()].filter(Boolean);
+  for (const app of apps) {
+    if (app.token?.id === tokenId) app._refreshHistory();
+  }
+});
+
+/**
+ * Keep the Fear counter current when the system's Fear changes (from anywhere)
+ */
+Hooks.on("updateSetting", (setting) => {
+  if (!game.user.isGM || !isFearSetting(setting)) return;
+  const apps = [_gmHudApp, ..._pinnedHuds.values()].filter(Boolean);
+  for (const app of apps) app._refreshFear();
+});
+
+/**
+ * Scene countdowns live in scene flags; re-render the HUDs of tokens on that scene
+ */
+Hooks.on("updateScene", (scene, changes) => {
+  if (!game.user.isGM || !countdownsChanged(changes)) return;
+  const apps = [_gmHudApp, ..._pinnedHuds.values()].filter(Boolean);
+  for (const app of apps) {
+    if (app.token?.parent?.id === scene.id) refreshHUD(app);
+  }
+});
 
 /**
  * Handle token deletion
  */
-Hooks.on("deleteToken", (scene, tokenDoc) => {
+Hooks.on("deleteToken", (tokenDoc) => {
   // Only handle for GMs
   if (!game.user.isGM) return;
   
@@ -156,6 +432,8 @@ Hooks.on("deleteToken", (scene, tokenDoc) => {
     debugLog("Deleted token was displayed in GM HUD, closing");
     createOrUpdateGMHUD(null);
   }
+  
+  unpinGMHUD(tokenDoc.id);
 });
 
 /**
@@ -167,8 +445,13 @@ Hooks.on("canvasReady", () => {
   
   debugLog("Canvas ready - checking for selected tokens");
   
-  // Check if we have any adversary tokens selected on the new scene
-  const adversaryToken = getControlledAdversaryToken();
+  // Pinned HUDs only make sense for tokens on the viewed scene
+  for (const [tokenId, app] of _pinnedHuds) {
+    if (app.token?.parent?.id !== canvas.scene?.id) unpinGMHUD(tokenId);
+  }
+  
+  // Check if we have any adversary tokens selected (or an active combatant) on the new scene
+  const adversaryToken = getControlledAdversaryToken() ?? getCombatAdversaryToken();
   if (adversaryToken) {
     debugLog("Found selected adversary on canvas ready:", adversaryToken.actor.name);
     createOrUpdateGMHUD(adversaryToken);
@@ -179,56 +462,265 @@ Hooks.on("canvasReady", () => {
 });
 
 /**
- * Handle actor updates that might affect the displayed HUD
+ * Follow the active combatant on turn changes
  */
-// In the updateActor hook:
-Hooks.on("updateActor", async (actor, changes) => {  // Add async here
-  if (!game.user.isGM || !_gmHudApp) return;
+Hooks.on("updateCombat", (combat, changes) => {
+  if (!game.user.isGM) return;
+  if (!("turn" in changes || "round" in changes)) return;
+  if (combat !== getActiveCombat()) return;
   
-  if (_gmHudApp.actor?.id === actor.id) {
-    debugLog("Displayed actor updated, refreshing HUD:", actor.name, changes);
-    const currentToken = getControlledAdversaryToken();
-    if (currentToken && currentToken.actor.id === actor.id) {
-      createOrUpdateGMHUD(currentToken);
-    }
+  // Pinned HUDs show turn controls, keep their "current turn" state fresh
+  for (const app of _pinnedHuds.values()) refreshHUD(app);
+  
+  if (!getSetting(SETTINGS.followCombat)) return;
+  
+  const combatToken = getCombatAdversaryToken();
+  debugLog("Combat turn changed, following combatant:", combatToken?.name);
+  if (combatToken) {
+    if (_gmHudApp?.token?.id === combatToken.id) refreshHUD(_gmHudApp);
+    else createOrUpdateGMHUD(combatToken);
+  } else {
+    // Not an adversary's turn - fall back to the selected token
+    const selected = getControlledAdversaryToken();
+    if (_gmHudApp?.token?.id !== selected?.id) createOrUpdateGMHUD(selected);
+    else refreshHUD(_gmHudApp);
   }
 });
 
 /**
- * Handle active effect changes that might affect the displayed HUD
+ * Combat ended - go back to following the selection
  */
-Hooks.on("createActiveEffect", (effect) => {
-  if (!game.user.isGM || !_gmHudApp) return;
+Hooks.on("deleteCombat", () => {
+  if (!game.user.isGM || !getSetting(SETTINGS.followCombat)) return;
   
-  if (_gmHudApp.actor?.id === effect.parent?.id) {
-    debugLog("Active effect added to displayed actor, refreshing HUD");
-    const currentToken = getControlledAdversaryToken();
-    if (currentToken) {
-      createOrUpdateGMHUD(currentToken);
-    }
-  }
+  const selected = getControlledAdversaryToken();
+  if (_gmHudApp?.token?.id !== selected?.id) createOrUpdateGMHUD(selected);
+  else refreshHUD(_gmHudApp);
+});
+
+/**
+ * Keep the defeated toggle in sync with the Combat Tracker
+ */
+Hooks.on("updateCombatant", (combatant, changes) => {
+  if (!game.user.isGM || !("defeated" in changes)) return;
+  refreshHUDsForActor(combatant.actor?.id);
 });
 
-Hooks.on("deleteActiveEffect", (effect) => {
-  if (!game.user.isGM || !_gmHudApp) return;
+/**
+ * Handle actor updates that might affect the displayed HUD
+ */
+Hooks.on("updateActor", (actor, changes) => {
+  if (!game.user.isGM) return;
   
-  if (_gmHudApp.actor?.id === effect.parent?.id) {
-    debugLog("Active effect removed from displayed actor, refreshing HUD");
-    const currentToken = getControlledAdversaryToken();
-    if (currentToken) {
-      createOrUpdateGMHUD(currentToken);
-    }
-  }
+  debugLog("Actor updated, refreshing HUDs:", actor.name, changes);
+  refreshHUDsForActor(actor.id, changes);
+  syncDefeatedFromHitPoints(actor, changes).catch(err => {
+    console.error("[GM HUD] Auto defeated sync failed:", err);
+  });
 });
 
 /**
- * Export for potential external use
+ * Handle active effect and feature item changes that might affect the displayed HUD
+ */
+for (const hook of ["createActiveEffect", "deleteActiveEffect", "createItem", "updateItem", "deleteItem"]) {
+  Hooks.on(hook, (doc) => {
+    if (!game.user.isGM) return;
+    if (!(doc.parent instanceof Actor)) return;
+    
+    debugLog(`${hook} on displayed actor, refreshing HUDs`);
+    refreshHUDsForActor(doc.parent.id);
+  });
+}
+
+/**
+ * Resolve a Token placeable, TokenDocument or token id (on the viewed scene) to a Token placeable
+ */
+function resolveToken(tokenLike) {
+  if (!tokenLike) return null;
+  if (typeof tokenLike === "string") return canvas.tokens?.get(tokenLike) ?? null;
+  if (tokenLike instanceof foundry.canvas.placeables.Token) return tokenLike;
+  if (tokenLike.object) return tokenLike.object;
+  return null;
+}
+
+/**
+ * The open HUD for a token (selection HUD first, then pinned), or a
+ * transient unrendered one so API calls work without opening the HUD
+ */
+function getHUDForToken(tokenLike) {
+  const token = resolveToken(tokenLike);
+  if (!token || !isHUDToken(token)) return null;
+  
+  if (_gmHudApp?.token?.id === token.id) return _gmHudApp;
+  if (_pinnedHuds.has(token.id)) return _pinnedHuds.get(token.id);
+  
+  const HUDClass = getHUDClass(token);
+  return new HUDClass({ actor: token.actor, token: token.document });
+}
+
+/**
+ * Public API, available at game.modules.get("daggerheart-gm-hud").api
+ * (see the README for the full reference)
  */
 export const DaggerheartGMHUDModule = {
+  /** Custom hook names fired by the HUD */
+  hooks: HUD_HOOKS,
+  
+  /** Open the selection HUD for a token (placeable, document or id) */
+  openHUD(tokenLike) {
+    const token = resolveToken(tokenLike);
+    if (!token || !isHUDToken(token)) return null;
+    _focusedTokenId = token.id;
+    createOrUpdateGMHUD(token);
+    return _gmHudApp;
+  },
+  
+  /** Close the selection HUD (pinned HUDs stay open) */
+  closeHUD() {
+    createOrUpdateGMHUD(null);
+  },
+  
+  /** Pin a HUD for a token; resolves to the pinned application */
+  pinHUD(tokenLike) {
+    const token = resolveToken(tokenLike);
+    return token ? pinGMHUD(token) : null;
+  },
+  
+  /** Close the pinned HUD of a token */
+  unpinHUD(tokenLike) {
+    const token = resolveToken(tokenLike);
+    if (token) unpinGMHUD(token.id);
+  },
+  
+  /** The open HUD application showing a token, if any */
+  getHUD(tokenLike) {
+    const token = resolveToken(tokenLike);
+    if (!token) return null;
+    if (_gmHudApp?.token?.id === token.id) return _gmHudApp;
+    return _pinnedHuds.get(token.id) ?? null;
+  },
+  
+  /** Roll the token's attack through the HUD pipeline; rollOptions as in the README */
+  async rollAttack(tokenLike, rollOptions = null) {
+    return getHUDForToken(tokenLike)?._rollAttack(rollOptions);
+  },
+  
+  /**
+   * Roll the token's attack damage to chat; attackKey picks an attack other
+   * than the selected one, critical adds the dice maximum
+   */
+  async rollDamage(tokenLike, { attackKey = null, critical = false } = {}) {
+    return getHUDForToken(tokenLike)?._rollDamage({ attackKey, critical });
+  },
+  
+  /** Roll a reaction for the token; rollOptions as in the README */
+  async rollReaction(tokenLike, rollOptions = null) {
+    return getHUDForToken(tokenLike)?._rollReaction(rollOptions);
+  },
+  
+  /** Add delta to "hitPoints" or "stress" (clamped); resolves to the applied change or null */
+  async adjustResource(tokenLike, resource, delta) {
+    const token = resolveToken(tokenLike);
+    if (!token?.actor) return null;
+    return adjustActorResource(token.actor, resource, Number(delta) || 0, { token: token.document, source: "api" });
+  },
+  
+  /** Mark HP for a damage total through the token's thresholds; resolves to the applied result */
+  async applyDamage(tokenLike, damage) {
+    const token = resolveToken(tokenLike);
+    if (!token?.actor) return null;
+    return applyDamageToActor(token.actor, damage, { token: token.document, source: "api" });
+  },
+  
+  /**
+   * Apply a damage total to minions: the first token is defeated and every X
+   * damage ("Minion (X)") defeats another. Pass one token to spill over to its
+   * group on the scene, or an array to spill over among those tokens only.
+   */
+  async applyMinionDamage(tokenLike, damage) {
+    const tokens = Array.isArray(tokenLike) ? tokenLike.map(resolveToken).filter(Boolean) : null;
+    const token = tokens ? null : resolveToken(tokenLike);
+    if (!token && !tokens?.length) return null;
+    return applyMinionDamage(damage, { token, tokens, source: "api" });
+  },
+  
+  /** Set "hitPoints" or "stress" to an absolute value (clamped) */
+  async setResource(tokenLike, resource, value) {
+    const token = resolveToken(tokenLike);
+    if (!token?.actor) return null;
+    return setActorResource(token.actor, resource, value, { token: token.document, source: "api" });
+  },
+  
+  /** Undo the latest HUD change to the token; resolves to the undone entry or null */
+  async undo(tokenLike) {
+    const token = resolveToken(tokenLike);
+    return token ? undoHistory(token) : null;
+  },
+  
+  /** Redo the latest undone HUD change to the token */
+  async redo(tokenLike) {
+    const token = resolveToken(tokenLike);
+    return token ? redoHistory(token) : null;
+  },
+  
+  /** Recent HUD changes to the token, newest first: { canUndo, canRedo, entries } */
+  getHistory(tokenLike) {
+    const token = resolveToken(tokenLike);
+    return getHistory(token);
+  },
+  
+  /** Countdowns of the token's actor and scene */
+  getCountdowns(tokenLike) {
+    const token = resolveToken(tokenLike);
+    if (!token) return [];
+    return getCountdowns({ actor: token.actor, scene: token.document.parent });
+  },
+  
+  /**
+   * Start a countdown for the token: { name, max, scope: "token" | "scene", mode: "standard" | "dynamic" }
+   */
+  async createCountdown(tokenLike, data) {
+    const token = resolveToken(tokenLike);
+    if (!token) return null;
+    return createCountdown({ actor: token.actor, scene: token.document.parent }, data);
+  },
+  
+  /** Tick one of the token's countdowns down by amount (default 1; negative ticks up) */
+  async tickCountdown(tokenLike, countdownId, amount = 1) {
+    const token = resolveToken(tokenLike);
+    if (!token) return null;
+    return tickCountdown({ actor: token.actor, scene: token.document.parent }, countdownId, amount);
+  },
+  
+  /** Tokens within a range band ("melee", "veryClose", "close", "far", "veryFar") of the token */
+  getTokensInRange(tokenLike, range) {
+    const token = resolveToken(tokenLike);
+    return token ? getTokensInRange(token, range) : [];
+  },
+  
+  /** The GM's Fear: { value, max } */
+  getFear,
+  
+  /** Add delta to the GM's Fear (clamped); resolves to the applied change or null */
+  async adjustFear(delta) {
+    return adjustFear(delta, { source: "api" });
+  },
+  
+  /** Set the GM's Fear to an absolute value (clamped) */
+  async setFear(value) {
+    return setFear(value, { source: "api" });
+  },
+  
   createOrUpdateGMHUD,
   isValidAdversary,
+  isHUDToken,
   getControlledAdversaryToken,
-  get currentHUD() { return _gmHudApp; }
+  getControlledAdversaryTokens,
+  focusAdversaryToken,
+  pinGMHUD,
+  unpinGMHUD,
+  get currentHUD() { return _gmHudApp; },
+  get pinnedHUDs() { return [..._pinnedHuds.values()]; }
 };
 
 // Make available globally for debugging (only when ready)
@@ -236,4 +728,4 @@ Hooks.once("ready", () => {
   if (getSetting(SETTINGS.debug)) {
     window.DaggerheartGMHUD = DaggerheartGMHUDModule;
   }
-});
\ No newline at end of file
+});
@@ -0,0 +1,161 @@
+// module/helpers/attack-resolution.mjs
+
+import { debugLog } from "../settings.mjs";
+import { applyRollModeToData } from "./roll-modes.mjs";
+
+const MODULE_ID = "daggerheart-gm-hud";
+
+const OUTCOME_LABELS = { crit: "Critical", hit: "Hit", miss: "Miss" };
+
+/**
+ * The attack roll behind a system attack: from the returned result when it
+ * carries one, otherwise from the latest roll message this user posted since.
+ */
+export function findAttackRoll(result, since) {
+  if (result instanceof Roll) return result;
+  const direct = result?.roll ?? result?.rolls?.[0] ?? result?.message?.rolls?.[0];
+  if (direct?.total !== undefined) return direct;
+
+  const message = game.messages.contents.findLast(m =>
+    m.author?.id === game.user.id && m.timestamp >= since && m.rolls?.length
+  );
+  return message?.rolls?.[0] ?? null;
+}
+
+/** Whether an attack roll is a critical: a natural 20 on the kept d20. */
+export function isCriticalRoll(roll) {
+  if (typeof roll?.isCritical === "boolean") return roll.isCritical;
+  const d20 = roll?.dice?.find(die => die.faces === 20);
+  return Boolean(d20?.results?.some(r => r.active !== false && !r.discarded && r.result === 20));
+}
+
+/** The number an attack must meet against a target: Evasion, or Difficulty for adversaries. */
+export function getTargetDefense(actor) {
+  const sys = actor?.system ?? {};
+  const evasion = sys.evasion?.value ?? sys.evasion ?? sys.difficulty;
+  const value = Number(evasion);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Compare an attack roll with each target's defense.
+ * @returns {{total: number, critical: boolean, results: object[]}}
+ */
+export function resolveAttack(roll, targets) {
+  const total = Number(roll?.total ?? 0);
+  const critical = isCriticalRoll(roll);
+
+  const results = targets.map(target => {
+    const defense = getTargetDefense(target.actor);
+    const hit = critical || (defense !== null && total >= defense);
+    return {
+      tokenId: target.id,
+      name: target.name,
+      img: target.document?.texture?.src ?? target.actor?.img ?? "icons/svg/mystery-man.svg",
+      defense,
+      outcome: critical ? "crit" : (hit ? "hit" : "miss")
+    };
+  });
+
+  return { total, critical, results };
+}
+
+/**
+ * Post one chat summary of an attack against the user's targets.
+ * The flags let the GM roll damage for the targets that were hit.
+ */
+export async function postAttackSummary(actor, { token, attack, attackKey, roll, targets, rollMode = null }) {
+  const { total, critical, results } = resolveAttack(roll, targets);
+  if (!results.length) return null;
+
+  const escape = foundry.utils.escapeHTML;
+  const rows = results.map(r => `
+    <li class="dgm-attack-target ${r.outcome}">
+      <img src="${escape(r.img ?? "")}" alt="${escape(r.name ?? "")}">
+      <span class="dgm-attack-target-name">${escape(r.name ?? "")}</span>
+      <span class="dgm-attack-target-defense">${r.defense ?? "?"}</span>
+      <strong class="dgm-attack-target-outcome">${OUTCOME_LABELS[r.outcome]}</strong>
+    </li>`).join("");
+
+  const content = `
+    <div class="dgm-attack-summary">
+      <header class="dgm-attack-summary-header">
+        <span>${escape(attack?.name ?? "Attack")}</span>
+        <span class="dgm-attack-summary-total${critical ? " crit" : ""}">${total}</span>
+      </header>
+      <ul class="dgm-attack-targets">${rows}</ul>
+    </div>`;
+
+  const hits = results.filter(r => r.outcome !== "miss").map(r => r.tokenId);
+  const crits = results.filter(r => r.outcome === "crit").map(r => r.tokenId);
+  debugLog("Attack resolved:", { total, critical, results });
+
+  const data = {
+    speaker: ChatMessage.getSpeaker({ actor, token }),
+    content,
+    flags: {
+      [MODULE_ID]: {
+        attackResolution: { tokenId: token?.id ?? null, attackKey, total, critical, hits, crits }
+      }
+    }
+  };
+  return ChatMessage.create(applyRollModeToData(data, rollMode ?? game.settings.get("core", "rollMode")));
+}
+
+/** Replace the user's targets with the given token ids on the current canvas. */
+export function targetTokens(tokenIds) {
+  if (typeof canvas.tokens?.setTargets === "function") {
+    canvas.tokens.setTargets(tokenIds, { mode: "replace" });
+    return;
+  }
+  game.user.targets.forEach(t => t.setTarget(false, { releaseOthers: false }));
+  tokenIds.forEach(id => canvas.tokens.get(id)?.setTarget(true, { releaseOthers: false }));
+}
+
+/** Target the hits of a summary, then roll the attack's damage through the HUD. */
+async function rollDamageForHits(resolution) {
+  const hits = resolution.hits.filter(id => canvas.tokens?.get(id));
+  if (!hits.length) {
+    ui.notifications?.warn("None of the hit targets are on this scene");
+    return;
+  }
+
+  targetTokens(hits);
+  const api = game.modules.get(MODULE_ID)?.api;
+  await api?.rollDamage(resolution.tokenId, { attackKey: resolution.attackKey, critical: resolution.critical });
+}
+
+function injectDamageButton(message, html) {
+  const resolution = message?.flags?.[MODULE_ID]?.attackResolution;
+  if (!resolution?.hits?.length || !resolution.tokenId) return;
+
+  const bar = document.createElement("div");
+  bar.className = "dgm-chat-apply";
+  bar.innerHTML = `
+    <button type="button" class="dgm-chat-roll-hits" data-dgm-roll-hits title="Target the hits and roll damage">
+      <i class="fa-solid fa-burst"></i> Roll damage for hits (${resolution.hits.length})
+    </button>`;
+
+  bar.addEventListener("click", async (ev) => {
+    if (!ev.target.closest("[data-dgm-roll-hits]")) return;
+    ev.preventDefault();
+    ev.stopPropagation();
+    try {
+      await rollDamageForHits(resolution);
+    } catch (err) {
+      console.error("[GM HUD] Rolling damage for hits failed", err);
+      ui.notifications?.error("Rolling damage for hits failed (see console)");
+    }
+  });
+
+  const content = html.querySelector(".message-content") ?? html;
+  content.append(bar);
+}
+
+/** Register the "roll damage for hits" button on attack summaries (GM only). */
+export function registerAttackResolutionHooks() {
+  Hooks.on("renderChatMessageHTML", (message, html) => {
+    if (!game.user.isGM) return;
+    injectDamageButton(message, html);
+  });
+}
@@ -0,0 +1,134 @@
+// module/helpers/chat-damage.mjs
+
+import { debugLog } from "../settings.mjs";
+import { applyDamageToActor } from "./damage.mjs";
+import { adjustActorResource } from "./resources.mjs";
+import { isMinion, applyMinionDamage, formatMinionResult } from "./minions.mjs";
+
+const MODULE_ID = "daggerheart-gm-hud";
+
+/** Ways a chat damage total can be applied. */
+const APPLY_MODES = {
+  full: { label: "Apply to selected", icon: "fa-solid fa-heart-crack" },
+  half: { label: "Apply half (resistance)", icon: "fa-solid fa-shield-halved" },
+  direct: { label: "Apply as HP (ignore thresholds)", icon: "fa-solid fa-droplet" }
+};
+
+/**
+ * Damage total carried by a chat message: HUD damage cards, system damage
+ * rolls, or as a last resort the sum of the message's rolls.
+ * @returns {number|null}
+ */
+export function getMessageDamageTotal(message) {
+  const hudDamage = message?.flags?.[MODULE_ID]?.damage;
+  if (hudDamage) return Number(hudDamage.total);
+
+  const isSystemDamage = message?.type === "damageRoll" || !!message?.system?.damage;
+  if (!isSystemDamage) return null;
+
+  const hp = message.system?.damage?.hitPoints ?? message.system?.damage?.hp;
+  if (hp?.total !== undefined) return Number(hp.total);
+
+  if (!message.rolls?.length) return null;
+  return message.rolls.reduce((sum, roll) => sum + Number(roll.total ?? 0), 0);
+}
+
+/** Selected tokens that can take damage from the HUD (adversaries). */
+function getSelectedAdversaryTokens() {
+  return (canvas.tokens?.controlled ?? []).filter(token => token.actor?.type === "adversary");
+}
+
+/**
+ * Apply a damage total to every selected adversary.
+ * mode "full" goes through thresholds, "half" halves the damage first
+ * (resistance), "direct" marks the total as HP with no thresholds.
+ */
+export async function applyDamageToSelected(total, { mode = "full" } = {}) {
+  const tokens = getSelectedAdversaryTokens();
+  if (!tokens.length) {
+    ui.notifications?.warn("Select one or more adversary tokens first");
+    return [];
+  }
+
+  const damage = mode === "half" ? Math.ceil(total / 2) : total;
+  const results = [];
+
+  // Selected minions share the damage: each X over the first defeats another one
+  const minions = tokens.filter(token => isMinion(token.actor));
+  if (minions.length) {
+    const result = await applyMinionDamage(damage, { tokens: minions, source: "chat" });
+    results.push({ name: "Minions", text: formatMinionResult(result) });
+  }
+
+  for (const token of tokens.filter(token => !isMinion(token.actor))) {
+    if (mode === "direct") {
+      const change = await adjustActorResource(token.actor, "hitPoints", damage, { token: token.document, source: "chat" });
+      results.push({ name: token.name, text: `${change?.delta ?? 0} HP` });
+    } else {
+      const result = await applyDamageToActor(token.actor, damage, { token: token.document, source: "chat" });
+      const severity = result.severity.charAt(0).toUpperCase() + result.severity.slice(1);
+      results.push({ name: token.name, text: `${severity}, ${result.applied} HP` });
+    }
+  }
+
+  debugLog("Chat damage applied:", { total, mode, results });
+  const summary = results.map(r => `${r.name} (${r.text})`).join(", ");
+  ui.notifications?.info(`Applied ${damage} damage: ${summary}`);
+  return results;
+}
+
+/** Apply chat damage, reporting a failure instead of leaving it unhandled. */
+async function applyFromChat(total, mode) {
+  try {
+    await applyDamageToSelected(total, { mode });
+  } catch (err) {
+    console.error("[GM HUD] Applying chat damage failed", err);
+    ui.notifications?.error("Applying damage failed (see console)");
+  }
+}
+
+/** Buttons appended to damage roll cards (GM only). */
+function injectApplyButtons(message, html) {
+  const total = getMessageDamageTotal(message);
+  if (total === null || !Number.isFinite(total)) return;
+
+  const bar = document.createElement("div");
+  bar.className = "dgm-chat-apply";
+  bar.innerHTML = Object.entries(APPLY_MODES).map(([mode, { label, icon }]) => `
+    <button type="button" data-dgm-apply="${mode}" title="${label}">
+      <i class="${icon}"></i>
+    </button>`).join("");
+
+  bar.addEventListener("click", async (ev) => {
+    const button = ev.target.closest("[data-dgm-apply]");
+    if (!button) return;
+    ev.preventDefault();
+    ev.stopPropagation();
+    await applyFromChat(total, button.dataset.dgmApply);
+  });
+
+  const content = html.querySelector(".message-content") ?? html;
+  content.append(bar);
+}
+
+/** Register the chat button and context menu entries for damage rolls. */
+export function registerChatDamageHooks() {
+  Hooks.on("renderChatMessageHTML", (message, html) => {
+    if (!game.user.isGM) return;
+    injectApplyButtons(message, html);
+  });
+
+  Hooks.on("getChatMessageContextOptions", (app, options) => {
+    const messageFor = (li) => game.messages.get(li.dataset.messageId);
+    const hasDamage = (li) => game.user.isGM && getMessageDamageTotal(messageFor(li)) !== null;
+
+    for (const [mode, { label, icon }] of Object.entries(APPLY_MODES)) {
+      options.push({
+        name: label,
+        icon: `<i class="${icon}"></i>`,
+        condition: hasDamage,
+        callback: (li) => applyFromChat(getMessageDamageTotal(messageFor(li)), mode)
+      });
+    }
+  });
+}
@@ -0,0 +1,36 @@
+// module/helpers/combat-utils.mjs
+
+/** The combat encounter on the viewed scene, only once it has started. */
+export function getActiveCombat() {
+  const combat = game.combat;
+  return combat?.started ? combat : null;
+}
+
+/** Find the combatant of a token (placeable or document) in the given combat. */
+export function getCombatantForToken(token, combat = getActiveCombat()) {
+  const tokenDoc = token?.document ?? token;
+  if (!combat || !tokenDoc) return null;
+  return combat.combatants.find(c => c.tokenId === tokenDoc.id && c.sceneId === tokenDoc.parent?.id) ?? null;
+}
+
+/** Token placeable of the current combatant, if it is on the viewed canvas. */
+export function getCurrentCombatantToken(combat = getActiveCombat()) {
+  const combatant = combat?.combatant;
+  if (!combatant?.tokenId || combatant.sceneId !== canvas.scene?.id) return null;
+  return canvas.tokens?.get(combatant.tokenId) ?? null;
+}
+
+/**
+ * Mark a combatant defeated (or not), mirroring the core Combat Tracker:
+ * flips the combatant flag and the token's defeated status overlay.
+ */
+export async function setCombatantDefeated(combatant, defeated) {
+  if (!combatant) return;
+  if (combatant.defeated !== defeated) await combatant.update({ defeated });
+
+  const statusId = CONFIG.specialStatusEffects.DEFEATED;
+  const actor = combatant.actor;
+  if (!statusId || !actor) return;
+  if (actor.statuses?.has(statusId) === defeated) return;
+  await actor.toggleStatusEffect(statusId, { overlay: true, active: defeated });
+}
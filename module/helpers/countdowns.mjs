@@ -0,0 +1,184 @@
+// module/helpers/countdowns.mjs
+
+import { debugLog } from "../settings.mjs";
+import { HUD_HOOKS } from "./hooks.mjs";
+import { applyRollModeToData } from "./roll-modes.mjs";
+
+const MODULE_ID = "daggerheart-gm-hud";
+const FLAG = "countdowns";
+
+/** Where a countdown lives: token and feature countdowns on the actor, scene ones on the scene. */
+export const COUNTDOWN_SCOPES = { token: "Token", scene: "Scene", feature: "Feature" };
+
+/** Standard countdowns tick one at a time; dynamic ones tick by a chosen amount. */
+export const COUNTDOWN_MODES = { standard: "Standard", dynamic: "Dynamic" };
+
+const SCOPE_ICONS = { token: "fa-user", scene: "fa-map", feature: "fa-star" };
+
+// "Countdown (4)" in a feature's name or description
+const COUNTDOWN_FEATURE = /countdown\s*\(\s*(\d+)\s*\)/i;
+
+function ownerOf(scope, { actor, scene }) {
+  return scope === "scene" ? scene : actor;
+}
+
+function storedCountdowns(doc) {
+  return Object.values(doc?.getFlag(MODULE_ID, FLAG) ?? {});
+}
+
+/** Every countdown of an actor and a scene, actor ones first. */
+export function getCountdowns({ actor = null, scene = null } = {}) {
+  return [...storedCountdowns(actor), ...storedCountdowns(scene)];
+}
+
+/** A countdown by id, with the document that stores it. */
+export function findCountdown({ actor = null, scene = null } = {}, id) {
+  for (const owner of [actor, scene]) {
+    const countdown = owner?.getFlag(MODULE_ID, FLAG)?.[id];
+    if (countdown) return { owner, countdown };
+  }
+  return null;
+}
+
+/** The N of a "Countdown (N)" feature, or null. */
+export function getFeatureCountdown(item) {
+  const text = `${item?.name ?? ""} ${item?.system?.description ?? ""}`;
+  const match = text.match(COUNTDOWN_FEATURE);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Start a countdown on the actor (token or feature scope) or the scene.
+ * @param {{actor?: Actor, scene?: Scene}} owners
+ * @param {{name: string, max: number, scope?: string, mode?: string, featureId?: string}} data
+ */
+export async function createCountdown(owners, { name, max, scope = "token", mode = "standard", featureId = null }) {
+  const owner = ownerOf(scope, owners);
+  const start = Math.max(1, Math.floor(Number(max) || 0));
+  if (!owner) return null;
+
+  const countdown = {
+    id: foundry.utils.randomID(),
+    name: String(name ?? "").trim() || "Countdown",
+    max: start,
+    value: start,
+    scope: scope in COUNTDOWN_SCOPES ? scope : "token",
+    mode: mode in COUNTDOWN_MODES ? mode : "standard",
+    featureId
+  };
+
+  await owner.setFlag(MODULE_ID, `${FLAG}.${countdown.id}`, countdown);
+  debugLog("Countdown created:", countdown);
+  return countdown;
+}
+
+/**
+ * Tick a countdown down by amount (negative ticks it back up), clamped to
+ * [0, max]. Reaching 0 triggers it: a chat announcement and dgmHud.countdownTriggered.
+ * @returns {Promise<{countdown: object, triggered: boolean}|null>}
+ */
+export async function tickCountdown(owners, id, amount = 1) {
+  const found = findCountdown(owners, id);
+  if (!found) return null;
+
+  const { owner, countdown } = found;
+  const value = Math.min(countdown.max, Math.max(0, countdown.value - (Number(amount) || 0)));
+  if (value === countdown.value) return null;
+
+  await owner.setFlag(MODULE_ID, `${FLAG}.${id}.value`, value);
+  const updated = { ...countdown, value };
+  const triggered = countdown.value > 0 && value === 0;
+  debugLog("Countdown ticked:", updated.name, countdown.value, "->", value);
+
+  if (triggered) await announceCountdown(updated, owners);
+  return { countdown: updated, triggered };
+}
+
+/** Put a countdown back to its starting value. */
+export async function resetCountdown(owners, id) {
+  const found = findCountdown(owners, id);
+  if (!found) return null;
+  await found.owner.setFlag(MODULE_ID, `${FLAG}.${id}.value`, found.countdown.max);
+  return { ...found.countdown, value: found.countdown.max };
+}
+
+/** Remove a countdown. */
+export async function deleteCountdown(owners, id) {
+  const found = findCountdown(owners, id);
+  if (!found) return null;
+  await found.owner.update({ [`flags.${MODULE_ID}.${FLAG}.-=${id}`]: null });
+  debugLog("Countdown deleted:", found.countdown.name);
+  return found.countdown;
+}
+
+async function announceCountdown(countdown, { actor, scene }) {
+  const speaker = countdown.scope === "scene"
+    ? { alias: scene?.name ?? "Countdown" }
+    : ChatMessage.getSpeaker({ actor });
+
+  const data = {
+    speaker,
+    content: `
+      <div class="dgm-countdown-card">
+        <i class="fa-solid fa-hourglass-end"></i>
+        <span><strong>${foundry.utils.escapeHTML(countdown.name)}</strong> triggered</span>
+      </div>`
+  };
+  await ChatMessage.create(applyRollModeToData(data, game.settings.get("core", "rollMode")));
+  Hooks.callAll(HUD_HOOKS.countdownTriggered, countdown.scope === "scene" ? null : actor, { countdown, scene });
+}
+
+/**
+ * Countdown panel data: the running countdowns with their progress, and a
+ * quick start for each "Countdown (N)" feature that has none running.
+ */
+export function prepareCountdowns({ actor = null, scene = null } = {}) {
+  const countdowns = getCountdowns({ actor, scene }).map(countdown => ({
+    ...countdown,
+    scopeLabel: COUNTDOWN_SCOPES[countdown.scope] ?? countdown.scope,
+    scopeIcon: SCOPE_ICONS[countdown.scope] ?? "fa-user",
+    dynamic: countdown.mode === "dynamic",
+    triggered: countdown.value <= 0,
+    progress: Math.round(((countdown.max - countdown.value) / Math.max(1, countdown.max)) * 100)
+  }));
+
+  const running = new Set(countdowns.map(countdown => countdown.featureId).filter(Boolean));
+  const suggestions = (actor?.items ?? [])
+    .filter(item => item.type === "feature" && !running.has(item.id))
+    .map(item => ({ featureId: item.id, name: item.name, max: getFeatureCountdown(item) }))
+    .filter(suggestion => suggestion.max);
+
+  return {
+    countdowns,
+    suggestions,
+    scopes: Object.entries(COUNTDOWN_SCOPES)
+      .filter(([key]) => key !== "feature")
+      .map(([value, label]) => ({ value, label })),
+    modes: Object.entries(COUNTDOWN_MODES).map(([value, label]) => ({ value, label }))
+  };
+}
+
+/** Whether a document update touched the HUD's countdown flags. */
+export function countdownsChanged(changes) {
+  const flags = changes?.flags?.[MODULE_ID];
+  return Boolean(flags && Object.keys(flags).some(key => key === FLAG || key === `-=${FLAG}`));
+}
+
+/** Ask how far a dynamic countdown ticks. Resolves to the amount, or null if dismissed. */
+export async function promptCountdownTick(countdown) {
+  const amount = await foundry.applications.api.DialogV2.prompt({
+    window: { title: `Tick ${foundry.utils.escapeHTML(countdown.name)}` },
+    content: `
+      <div class="form-group">
+        <label>Tick down by</label>
+        <input type="number" name="amount" value="1" step="1" autofocus>
+      </div>`,
+    ok: {
+      label: "Tick",
+      icon: "fa-solid fa-hourglass-half",
+      callback: (_event, button) => Number(button.form.elements.amount.value) || 0
+    },
+    rejectClose: false
+  });
+  return amount || null;
+}
@@ -0,0 +1,136 @@
+// module/helpers/damage.mjs
+
+import { getSetting, SETTINGS, debugLog } from "../settings.mjs";
+import { adjustActorResource } from "./resources.mjs";
+
+/** Severity labels, indexed by the number of HP marked. */
+const SEVERITY = ["none", "minor", "major", "severe", "massive"];
+
+/** Damage thresholds of an actor as numbers. */
+export function getDamageThresholds(actor) {
+  const thresholds = actor?.system?.damageThresholds ?? {};
+  return {
+    major: Number(thresholds.major ?? 0),
+    severe: Number(thresholds.severe ?? 0)
+  };
+}
+
+/**
+ * Number of HP a damage total marks against the given thresholds:
+ * 1 below Major, 2 from Major, 3 from Severe, and 4 from twice Severe
+ * when the optional Massive Damage rule is enabled.
+ */
+export function damageToHitPoints(damage, { major = 0, severe = 0 } = {}, { massiveDamage = false } = {}) {
+  const amount = Math.floor(Number(damage) || 0);
+  if (amount <= 0) return 0;
+  if (massiveDamage && severe > 0 && amount >= severe * 2) return 4;
+  if (severe > 0 && amount >= severe) return 3;
+  if (major > 0 && amount >= major) return 2;
+  return 1;
+}
+
+/**
+ * Apply a damage total to an actor through its thresholds.
+ * @returns {Promise<{damage: number, severity: string, marked: number, applied: number}>}
+ *   marked is what the thresholds call for, applied what actually fit below the HP max
+ */
+export async function applyDamageToActor(actor, damage, { token = null, source = "hud" } = {}) {
+  const amount = Math.max(0, Math.floor(Number(damage) || 0));
+  const marked = damageToHitPoints(amount, getDamageThresholds(actor), {
+    massiveDamage: getSetting(SETTINGS.massiveDamage)
+  });
+
+  const change = marked > 0
+    ? await adjustActorResource(actor, "hitPoints", marked, { token, source })
+    : null;
+
+  const result = { damage: amount, severity: SEVERITY[marked], marked, applied: change?.delta ?? 0 };
+  debugLog("Damage applied:", actor?.name, result);
+  return result;
+}
+
+/** Font Awesome icons of the Daggerheart damage types. */
+const DAMAGE_TYPE_ICONS = {
+  physical: "fa-solid fa-hand-fist",
+  magical: "fa-solid fa-wand-magic-sparkles",
+  magic: "fa-solid fa-wand-magic-sparkles"
+};
+
+function normalizeDie(d) {
+  const s = String(d ?? "").trim().toLowerCase().replace(/\s+/g, "");
+  const m = s.match(/^d(\d+)$/) || s.match(/^\d*d(\d+)$/) || s.match(/(\d+)$/);
+  return m ? `d${m[1]}` : "d6";
+}
+
+/** Formula of one damage part value, e.g. "2d8+3" (custom formulas as written). */
+export function formatDamageValue(value) {
+  if (!value) return "";
+  if (value.custom?.enabled && value.custom.formula) return String(value.custom.formula);
+
+  const count = Math.max(1, Number(value.flatMultiplier ?? 1));
+  const die = normalizeDie(value.dice);
+  const bonus = Number(value.bonus ?? 0);
+  const dice = count > 1 ? `${count}${die}` : die;
+  if (!bonus) return dice;
+  return `${dice}${bonus > 0 ? "+" : ""}${bonus}`;
+}
+
+/** Highest total the dice of a formula can show (flat modifiers excluded). */
+export function maxDiceTotal(formula) {
+  try {
+    return new Roll(formula).dice.reduce((sum, die) => sum + (Number(die.number) || 0) * (Number(die.faces) || 0), 0);
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Critical damage per the Daggerheart rules: roll the damage as usual and
+ * add the maximum the dice could show.
+ */
+export function criticalFormula(formula) {
+  const max = maxDiceTotal(formula);
+  return max ? `${formula} + ${max}` : formula;
+}
+
+/** Damage types of a part ("type" is a Set in system data), with icon and localized name. */
+function getPartTypes(part) {
+  const raw = part?.type;
+  const keys = raw instanceof Set ? [...raw] : (Array.isArray(raw) ? raw : (raw ? [raw] : []));
+  return keys.map(key => {
+    const type = String(key).toLowerCase();
+    return {
+      key: type,
+      icon: DAMAGE_TYPE_ICONS[type] ?? "",
+      name: game.i18n.localize(`DAGGERHEART.CONFIG.DamageType.${type}.name`)
+    };
+  });
+}
+
+/**
+ * Every part of an action's damage: its display formula, the formula to roll
+ * (critical or not) and its damage types.
+ */
+export function getDamageParts(damage, { critical = false } = {}) {
+  const parts = damage?.parts;
+  const list = Array.isArray(parts) ? parts : Object.values(parts ?? {});
+
+  return list
+    .map(part => {
+      const formula = formatDamageValue(part?.value);
+      if (!formula) return null;
+      return {
+        formula,
+        rollFormula: critical ? criticalFormula(formula) : formula,
+        types: getPartTypes(part)
+      };
+    })
+    .filter(Boolean);
+}
+
+/** Short text describing a damage result, e.g. "12 dmg: Major, 2 HP". */
+export function formatDamageResult({ damage, severity, marked, applied }) {
+  const label = severity.charAt(0).toUpperCase() + severity.slice(1);
+  const hp = applied < marked ? `${applied}/${marked} HP (max reached)` : `${applied} HP`;
+  return `${damage} dmg: ${label}, ${hp}`;
+}
@@ -0,0 +1,76 @@
+// module/helpers/defeated.mjs
+
+import { getSetting, SETTINGS, debugLog } from "../settings.mjs";
+import { getActiveCombat, getCombatantForToken, setCombatantDefeated } from "./combat-utils.mjs";
+
+const MODULE_ID = "daggerheart-gm-hud";
+
+// Token flag marking a defeat made by Auto Defeated, the only kind it reverts
+const AUTO_DEFEATED_FLAG = "autoDefeated";
+
+/** Whether an actor has marked every Hit Point. */
+export function hasMarkedAllHitPoints(actor) {
+  const hp = actor?.system?.resources?.hitPoints ?? {};
+  const max = Number(hp.max ?? 0);
+  return max > 0 && Number(hp.value ?? 0) >= max;
+}
+
+/** Whether a token shows as defeated: its combatant, or the core defeated status. */
+export function isTokenDefeated(token) {
+  const tokenDoc = token?.document ?? token;
+  const combatant = getCombatantForToken(tokenDoc);
+  if (combatant) return Boolean(combatant.isDefeated ?? combatant.defeated);
+
+  const statusId = CONFIG.specialStatusEffects.DEFEATED;
+  return Boolean(statusId && tokenDoc?.actor?.statuses?.has(statusId));
+}
+
+/**
+ * Mark a token defeated (or not): through its combatant in the active combat
+ * when it has one, otherwise by toggling the core defeated status overlay.
+ */
+export async function setTokenDefeated(token, defeated) {
+  const tokenDoc = token?.document ?? token;
+  const actor = tokenDoc?.actor;
+  if (!actor) return;
+
+  const combatant = getCombatantForToken(tokenDoc, getActiveCombat());
+  if (combatant) return setCombatantDefeated(combatant, defeated);
+
+  const statusId = CONFIG.specialStatusEffects.DEFEATED;
+  if (!statusId || actor.statuses?.has(statusId) === defeated) return;
+  await actor.toggleStatusEffect(statusId, { overlay: true, active: defeated });
+}
+
+/**
+ * With Auto Defeated on, an adversary that marks its last HP becomes defeated,
+ * and stops being defeated once HP drops below the maximum again. Only defeats
+ * it made itself are reverted: a token the GM defeated by hand stays defeated.
+ * Runs on the active GM only, so the status isn't toggled once per GM.
+ */
+export async function syncDefeatedFromHitPoints(actor, changes) {
+  if (actor?.type !== "adversary") return;
+  if (!getSetting(SETTINGS.autoDefeated)) return;
+  if (!game.users.activeGM?.isSelf) return;
+  if (!foundry.utils.hasProperty(changes ?? {}, "system.resources.hitPoints")) return;
+
+  const defeated = hasMarkedAllHitPoints(actor);
+  const tokens = actor.isToken ? [actor.token] : actor.getActiveTokens(false, true);
+
+  for (const tokenDoc of tokens) {
+    if (!tokenDoc) continue;
+
+    if (defeated) {
+      if (isTokenDefeated(tokenDoc)) continue;
+      debugLog("HP full, marking defeated:", tokenDoc.name);
+      await setTokenDefeated(tokenDoc, true);
+      await tokenDoc.setFlag(MODULE_ID, AUTO_DEFEATED_FLAG, true);
+    } else {
+      if (!tokenDoc.getFlag(MODULE_ID, AUTO_DEFEATED_FLAG)) continue;
+      await tokenDoc.unsetFlag(MODULE_ID, AUTO_DEFEATED_FLAG);
+      if (!isTokenDefeated(tokenDoc)) continue;
+      debugLog("HP below max, reviving:", tokenDoc.name);
+      await setTokenDefeated(tokenDoc, false);
+    }
+  }
+}
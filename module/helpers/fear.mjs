@@ -0,0 +1,92 @@
+// module/helpers/fear.mjs
+
+import { debugLog } from "../settings.mjs";
+import { HUD_HOOKS } from "./hooks.mjs";
+
+// Fallbacks for the Daggerheart system's world settings when CONFIG.DH isn't available
+const SYSTEM_ID = "daggerheart";
+const FEAR_SETTING = "ResourcesFear";
+const HOMEBREW_SETTING = "Homebrew";
+const DEFAULT_MAX_FEAR = 12;
+
+function systemId() {
+  return CONFIG.DH?.id ?? SYSTEM_ID;
+}
+
+/** Key of the system setting holding the GM's Fear. */
+export function getFearSettingKey() {
+  return CONFIG.DH?.SETTINGS?.gameSettings?.Resources?.Fear ?? FEAR_SETTING;
+}
+
+/** Whether a Setting document is the system's Fear. */
+export function isFearSetting(setting) {
+  return setting?.key === `${systemId()}.${getFearSettingKey()}`;
+}
+
+function getMaxFear() {
+  const key = CONFIG.DH?.SETTINGS?.gameSettings?.Homebrew ?? HOMEBREW_SETTING;
+  try {
+    const max = Number(game.settings.get(systemId(), key)?.maxFear);
+    return max > 0 ? max : DEFAULT_MAX_FEAR;
+  } catch {
+    return DEFAULT_MAX_FEAR;
+  }
+}
+
+/** The GM's current Fear and its maximum: { value, max }. */
+export function getFear() {
+  let value = 0;
+  try {
+    value = Number(game.settings.get(systemId(), getFearSettingKey())) || 0;
+  } catch (err) {
+    debugLog("Fear setting unavailable:", err);
+  }
+  return { value, max: getMaxFear() };
+}
+
+/**
+ * Add delta to the GM's Fear, clamped to [0, max].
+ * Fires dgmHud.fearChanged with the actor that caused it (or null).
+ * @returns {Promise<{from: number, to: number, delta: number}|null>} the applied change, or null
+ */
+export async function adjustFear(delta, { actor = null, source = "hud" } = {}) {
+  const { value, max } = getFear();
+  const next = Math.min(max, Math.max(0, value + (Number(delta) || 0)));
+  if (next === value) return null;
+
+  await game.settings.set(systemId(), getFearSettingKey(), next);
+  debugLog("Fear adjusted from", value, "to", next);
+
+  const change = { from: value, to: next, delta: next - value, source };
+  Hooks.callAll(HUD_HOOKS.fearChanged, actor, change);
+  return change;
+}
+
+/** Set the GM's Fear to an absolute value (clamped), through adjustFear. */
+export async function setFear(value, options = {}) {
+  return adjustFear(Number(value) - getFear().value, options);
+}
+
+function actionList(item) {
+  const actions = item?.system?.actions;
+  return actions?.contents ?? (actions ? Object.values(actions) : []);
+}
+
+/** Fear an action costs to use (the sum of its "fear" cost entries). */
+export function getActionFearCost(action) {
+  const costs = Array.isArray(action?.cost) ? action.cost : Object.values(action?.cost ?? {});
+  return costs
+    .filter(cost => cost?.key === "fear")
+    .reduce((total, cost) => total + (Number(cost.value) || 0), 0);
+}
+
+/**
+ * Fear a feature costs: the named action's cost, otherwise the cheapest of
+ * its actions (the least it can be used for; 0 when any action is free).
+ */
+export function getFeatureFearCost(item, actionPath = null) {
+  const actions = actionList(item);
+  const named = actions.find(action => action?._id === actionPath || action?.id === actionPath);
+  if (named) return getActionFearCost(named);
+  return actions.length ? Math.min(...actions.map(getActionFearCost)) : 0;
+}
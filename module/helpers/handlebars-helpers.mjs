@@ -1,5 +1,7 @@
 // module/helpers/handlebars-helpers.mjs
 
+import { getDamageParts } from "./damage.mjs";
+
 /** Register all Handlebars helpers used by the Daggerheart HUD. */
 export function registerDHUDHelpers() {
   // Avoid double-registration
@@ -195,28 +197,13 @@ export function registerDHUDHelpers() {
 
   // ---- Adversary-specific helpers ----
   Hb.registerHelper("formatDamage", function(damageData) {
-    if (!damageData?.parts?.length) return "—";
-    
-    const part = damageData.parts[0];
-    const value = part.value;
-    if (!value) return "—";
-    
-    const dice = value.dice || "d6";
-    const multiplier = value.flatMultiplier || 1;
-    const bonus = value.bonus || 0;
-    
-    let formula = multiplier > 1 ? `${multiplier}${dice}` : dice;
-    if (bonus > 0) formula += `+${bonus}`;
-    else if (bonus < 0) formula += `${bonus}`;
-    
-    return formula;
+    const parts = getDamageParts(damageData);
+    return parts.length ? parts.map(part => part.formula).join(" + ") : "—";
   });
 
   Hb.registerHelper("extractDamageTypes", function(damageData) {
-    if (!damageData?.parts?.length) return "";
-    
-    const types = damageData.parts[0].type || [];
-    return Array.isArray(types) ? types.join(", ") : String(types);
+    const types = getDamageParts(damageData).flatMap(part => part.types.map(type => type.key));
+    return [...new Set(types)].join(", ");
   });
 
 
@@ -0,0 +1,223 @@
+// module/helpers/history.mjs
+
+import { debugLog } from "../settings.mjs";
+import { HUD_HOOKS } from "./hooks.mjs";
+import { adjustActorResource } from "./resources.mjs";
+
+// Entries kept per token; older ones fall off the bottom
+const HISTORY_LIMIT = 20;
+
+// Source tag for changes made while undoing/redoing, so they aren't recorded again
+const HISTORY_SOURCE = "history";
+
+const RESOURCE_LABELS = { hitPoints: "HP", stress: "Stress" };
+
+// tokenId -> { undo: [], redo: [] }, client-side and per session
+const _stacks = new Map();
+
+function tokenIdOf(token) {
+  return token?.document?.id ?? token?.id ?? null;
+}
+
+function stackFor(tokenId) {
+  if (!_stacks.has(tokenId)) _stacks.set(tokenId, { undo: [], redo: [] });
+  return _stacks.get(tokenId);
+}
+
+function notifyChanged(tokenId, actor, entry = null) {
+  Hooks.callAll(HUD_HOOKS.historyChanged, actor ?? null, { tokenId, entry });
+}
+
+/**
+ * Record an undoable change for a token.
+ * @param {Token|TokenDocument} token
+ * @param {{label: string, actor?: Actor, undo: Function, redo: Function}} entry
+ */
+export function recordHistory(token, { label, actor = null, undo, redo }) {
+  const tokenId = tokenIdOf(token);
+  if (!tokenId || typeof undo !== "function" || typeof redo !== "function") return null;
+
+  const stack = stackFor(tokenId);
+  const entry = { id: foundry.utils.randomID(), label, actor, undo, redo, timestamp: Date.now() };
+  stack.undo.push(entry);
+  if (stack.undo.length > HISTORY_LIMIT) stack.undo.shift();
+  stack.redo.length = 0;
+
+  debugLog("History recorded:", label);
+  notifyChanged(tokenId, actor, entry);
+  return entry;
+}
+
+async function replay(tokenId, from, to, method) {
+  const stack = _stacks.get(tokenId);
+  const entry = stack?.[from].pop();
+  if (!entry) return null;
+
+  try {
+    await entry[method]();
+    entry.timestamp = Date.now();
+    stack[to].push(entry);
+    debugLog(`History ${method}:`, entry.label);
+  } catch (err) {
+    console.error(`[GM HUD] History ${method} failed`, err);
+    // Keep it where it was, so it can be tried again
+    stack[from].push(entry);
+    ui.notifications?.error(`Could not ${method} "${entry.label}" (see console)`);
+  }
+
+  notifyChanged(tokenId, entry.actor, entry);
+  return entry;
+}
+
+/** Undo the latest change recorded for a token. */
+export function undoHistory(token) {
+  return replay(tokenIdOf(token), "undo", "redo", "undo");
+}
+
+/** Redo the latest undone change for a token. */
+export function redoHistory(token) {
+  return replay(tokenIdOf(token), "redo", "undo", "redo");
+}
+
+/** Recent changes for a token, newest first, plus whether undo/redo are available. */
+export function getHistory(token) {
+  const stack = _stacks.get(tokenIdOf(token));
+  return {
+    canUndo: Boolean(stack?.undo.length),
+    canRedo: Boolean(stack?.redo.length),
+    entries: [...(stack?.undo ?? [])].reverse().map(({ id, label, timestamp }) => ({ id, label, timestamp }))
+  };
+}
+
+/** Forget a token's history, e.g. once the token is deleted. */
+export function clearHistory(token) {
+  const tokenId = tokenIdOf(token);
+  if (_stacks.delete(tokenId)) notifyChanged(tokenId, null);
+}
+
+/**
+ * Recent changes ready for the HUD template: label, time of day, and the
+ * undo/redo button states.
+ */
+export function prepareHistory(token) {
+  const history = getHistory(token);
+  const formatter = new Intl.DateTimeFormat(game.i18n?.lang, { hour: "2-digit", minute: "2-digit", second: "2-digit" });
+  return {
+    ...history,
+    entries: history.entries.map(entry => ({ ...entry, time: formatter.format(entry.timestamp) }))
+  };
+}
+
+function describeChange({ resource, delta, from, to }) {
+  const sign = delta > 0 ? "+" : "";
+  return `${RESOURCE_LABELS[resource] ?? resource} ${sign}${delta} (${from} → ${to})`;
+}
+
+/**
+ * HP/Stress changes made through the HUD (clicks, damage entry, chat apply, API)
+ * arrive through dgmHud.resourceChanged with the token they were made for.
+ * Stress that overflowed into HP is one entry, undone and redone as a whole.
+ */
+function onResourceChanged(actor, change) {
+  if (!change?.token || change.source === HISTORY_SOURCE) return;
+
+  const { token } = change;
+  const parts = [change, change.overflow].filter(part => part?.delta);
+  const applyParts = (sign) => async () => {
+    for (const { resource, delta } of parts) {
+      await adjustActorResource(actor, resource, sign * delta, { token, source: HISTORY_SOURCE });
+    }
+  };
+
+  recordHistory(token, {
+    label: parts.map(describeChange).join(", "),
+    actor,
+    undo: applyParts(-1),
+    redo: applyParts(1)
+  });
+}
+
+/**
+ * Current spent-uses values of an item: item-level uses and every action's uses.
+ * Keys are update paths, so a snapshot can be fed back into item.update().
+ */
+export function snapshotItemUses(item) {
+  const sys = item?.system ?? {};
+  const snapshot = {};
+  if (sys.uses && sys.uses.value !== undefined) snapshot["system.uses.value"] = sys.uses.value;
+
+  const actions = sys.actions;
+  const list = actions?.contents ?? (actions ? Object.values(actions) : []);
+  for (const action of list) {
+    if (action?._id && action.uses && action.uses.value !== undefined) {
+      snapshot[`system.actions.${action._id}.uses.value`] = action.uses.value;
+    }
+  }
+  return snapshot;
+}
+
+/** Record the uses an executed feature spent, if any changed. */
+export function recordItemUses(token, item, before) {
+  const after = snapshotItemUses(item);
+  const changed = Object.keys(after).filter(key => after[key] !== before[key]);
+  if (!changed.length) return null;
+
+  const pick = (snapshot) => Object.fromEntries(changed.map(key => [key, snapshot[key] ?? 0]));
+  const undoData = pick(before);
+  const redoData = pick(after);
+
+  return recordHistory(token, {
+    label: `${item.name}: uses`,
+    actor: item.parent,
+    undo: () => item.update(undoData),
+    redo: () => item.update(redoData)
+  });
+}
+
+/**
+ * Record templates the HUD created. Redo recreates them from their data;
+ * the ids are tracked because recreated templates get new ones.
+ */
+export function recordTemplatesCreated(token, templates, label = "Range template") {
+  return recordTemplateChange(token, templates, label, { created: true });
+}
+
+/** Record templates the HUD deleted; undo recreates them from their data. */
+export function recordTemplatesDeleted(token, templates, label = "Templates removed") {
+  return recordTemplateChange(token, templates, label, { created: false });
+}
+
+function recordTemplateChange(token, templates, label, { created }) {
+  const docs = templates.filter(Boolean);
+  const scene = docs[0]?.parent;
+  if (!scene) return null;
+
+  const data = docs.map(doc => {
+    const obj = doc.toObject();
+    delete obj._id;
+    return obj;
+  });
+  let ids = docs.map(doc => doc.id);
+
+  const restore = async () => {
+    const createdDocs = await scene.createEmbeddedDocuments("MeasuredTemplate", data);
+    ids = createdDocs.map(doc => doc.id);
+  };
+  const remove = async () => {
+    const existing = ids.filter(id => scene.templates.has(id));
+    if (existing.length) await scene.deleteEmbeddedDocuments("MeasuredTemplate", existing);
+  };
+
+  return recordHistory(token, {
+    label,
+    actor: token?.actor ?? null,
+    undo: created ? remove : restore,
+    redo: created ? restore : remove
+  });
+}
+
+/** Hook the history into HUD resource changes. Called once at init. */
+export function registerHistoryHooks() {
+  Hooks.on(HUD_HOOKS.resourceChanged, onResourceChanged);
+  Hooks.on("deleteToken", (tokenDoc) => clearHistory(tokenDoc));
+}
@@ -0,0 +1,23 @@
+// module/helpers/hooks.mjs
+
+/**
+ * Custom hook names fired by the HUD. "pre" hooks go through Hooks.call and
+ * can be cancelled by returning false; the others go through Hooks.callAll.
+ * Every hook receives the actor first and a data object second.
+ */
+export const HUD_HOOKS = {
+  preRollAttack: "dgmHud.preRollAttack",
+  rollAttack: "dgmHud.rollAttack",
+  preRollDamage: "dgmHud.preRollDamage",
+  rollDamage: "dgmHud.rollDamage",
+  preRollReaction: "dgmHud.preRollReaction",
+  rollReaction: "dgmHud.rollReaction",
+  preExecuteFeature: "dgmHud.preExecuteFeature",
+  executeFeature: "dgmHud.executeFeature",
+  preResourceChange: "dgmHud.preResourceChange",
+  resourceChanged: "dgmHud.resourceChanged",
+  historyChanged: "dgmHud.historyChanged",
+  fearChanged: "dgmHud.fearChanged",
+  countdownTriggered: "dgmHud.countdownTriggered",
+  render: "dgmHud.render"
+};
@@ -0,0 +1,51 @@
+// module/helpers/horde.mjs
+
+import { formatDamageValue } from "./damage.mjs";
+
+// "Horde (1d4+1)": the damage the standard attack deals once half the HP is marked
+const HORDE_FEATURE = /^\s*horde\s*\(\s*([^)]+?)\s*\)/i;
+
+/** Whether an actor is a horde-type adversary. */
+export function isHorde(actor) {
+  return actor?.type === "adversary" && String(actor.system?.type ?? "").toLowerCase() === "horde";
+}
+
+/** Whether a horde has marked half or more of its HP (and deals its reduced damage). */
+export function isHordeReduced(actor) {
+  if (!isHorde(actor)) return false;
+  const hp = actor.system?.resources?.hitPoints ?? {};
+  const max = Number(hp.max ?? 0);
+  return max > 0 && Number(hp.value ?? 0) * 2 >= max;
+}
+
+/**
+ * The horde's reduced damage formula: the system's alternate damage on the
+ * attack (valueAlt) when set, otherwise the one in the "Horde (X)" feature name.
+ */
+export function getHordeFormula(actor) {
+  if (!isHorde(actor)) return null;
+
+  // Like getDamageParts: the system may hand the parts over as an object
+  const parts = actor.system?.attack?.damage?.parts;
+  const alt = (Array.isArray(parts) ? parts : Object.values(parts ?? {}))
+    .filter(part => part?.valueAlt?.dice || part?.valueAlt?.custom?.enabled)
+    .map(part => formatDamageValue(part.valueAlt))
+    .join(" + ");
+  if (alt) return alt;
+
+  for (const item of actor.items ?? []) {
+    const match = item.name?.match(HORDE_FEATURE);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Horde state for the attack section: the reduced formula and whether it is
+ * the one in use. Null for non-horde adversaries or hordes without one.
+ */
+export function getHordeDamage(actor) {
+  const formula = getHordeFormula(actor);
+  if (!formula) return null;
+  return { formula, reduced: isHordeReduced(actor) };
+}
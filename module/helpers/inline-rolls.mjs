@@ -1,7 +1,12 @@
 // module/helpers/inline-rolls.mjs
 export async function enrichItemDescription(item) {
-  const raw = item.system?.description ?? "";
-  const rollData = item.getRollData?.() ?? item.actor?.getRollData?.() ?? {};
+  return enrichDocumentText(item, item.system?.description ?? "");
+}
+
+// Enrich any rich text of a document (an item's description, an environment's impulses)
+export async function enrichDocumentText(doc, raw) {
+  if (!raw) return "";
+  const rollData = doc.getRollData?.() ?? doc.actor?.getRollData?.() ?? {};
 
   // Use the new Foundry v13 namespaced TextEditor
   const TextEditorImpl = foundry.applications.ux.TextEditor.implementation;
@@ -10,7 +15,7 @@ export async function enrichItemDescription(item) {
   const html = await TextEditorImpl.enrichHTML(raw, {
     async: true,
     rollData,
-    relativeTo: item,
+    relativeTo: doc,
     secrets: false,
     documents: true,
     links: true,
@@ -0,0 +1,167 @@
+// module/helpers/measured-templates.mjs
+
+import { debugLog } from "../settings.mjs";
+import { getActiveCombat } from "./combat-utils.mjs";
+import { normalizeRange, getRangeDistance } from "./ranges.mjs";
+import {
+  applyTemplateOpacity, isTemplateStyleSetting, clearTemplateStyleCache, restyleTemplates
+} from "./template-style.mjs";
+
+const MODULE_ID = "daggerheart-gm-hud";
+
+/** When a HUD template goes away on its own during combat. */
+export const TEMPLATE_EXPIRY = {
+  never: "Never",
+  turn: "End of turn",
+  round: "End of round",
+  rounds: "After N rounds"
+};
+
+// Token changes that move, resize or lift the templates following it
+const TRACKED_CHANGES = ["x", "y", "width", "height", "elevation"];
+
+/** Whether this client is the one GM that writes shared template updates. */
+function isResponsibleGM() {
+  return game.users.activeGM?.isSelf ?? game.user.isGM;
+}
+
+function flagsOf(template) {
+  return template.flags?.[MODULE_ID] ?? null;
+}
+
+/** The HUD templates following a token. */
+export function getTokenTemplates(tokenDoc) {
+  const scene = tokenDoc?.parent;
+  if (!scene) return [];
+  return scene.templates.filter(template => flagsOf(template)?.tokenId === tokenDoc.id);
+}
+
+/** The center of a token as its document says (the end point of any animation). */
+function documentCenter(tokenDoc) {
+  const size = tokenDoc.parent?.grid?.size ?? canvas.grid.size;
+  return {
+    x: tokenDoc.x + (tokenDoc.width * size) / 2,
+    y: tokenDoc.y + (tokenDoc.height * size) / 2
+  };
+}
+
+/**
+ * Move, resize and lift the templates of a token after it changed.
+ * Only the responsible GM writes the update, so it happens once.
+ */
+export async function syncTemplatesToToken(tokenDoc, changes) {
+  if (!TRACKED_CHANGES.some(key => key in changes) || !isResponsibleGM()) return;
+
+  const templates = getTokenTemplates(tokenDoc);
+  if (!templates.length) return;
+
+  const center = documentCenter(tokenDoc);
+  const resized = "width" in changes || "height" in changes;
+  const updates = templates.map(template => {
+    const update = { _id: template.id, x: center.x, y: center.y, elevation: tokenDoc.elevation ?? 0 };
+
+    // Melee reach depends on the token's size
+    const range = normalizeRange(flagsOf(template).range);
+    if (resized && range) update.distance = getRangeDistance(range, { scene: tokenDoc.parent, token: tokenDoc }).distance;
+    return update;
+  });
+
+  try {
+    await tokenDoc.parent.updateEmbeddedDocuments("MeasuredTemplate", updates);
+    debugLog("Templates followed token:", tokenDoc.name, updates.length);
+  } catch (err) {
+    console.error("[GM HUD] Template follow failed:", err);
+  }
+}
+
+/**
+ * While a token animates, draw its templates at its animated position on this
+ * client (the documents already hold the end point).
+ */
+function followTokenAnimation(token) {
+  // refreshToken fires for every token on hover, targeting and so on: only animated moves matter
+  if (!token.animationContexts?.size || !token.document.parent?.templates.size) return;
+
+  const templates = getTokenTemplates(token.document);
+  if (!templates.length) return;
+
+  const x = token.x + token.w / 2;
+  const y = token.y + token.h / 2;
+  for (const template of templates) {
+    template.object?.position.set(x, y);
+  }
+}
+
+/**
+ * Expiry flag data for a new template: tied to the active combat's current
+ * round and turn, or null outside combat or for "never".
+ */
+export function createTemplateExpiry({ mode = "never", rounds = 1 } = {}) {
+  const combat = getActiveCombat();
+  if (!combat || !(mode in TEMPLATE_EXPIRY) || mode === "never") return null;
+  return {
+    mode,
+    rounds: Math.max(1, Math.floor(Number(rounds) || 1)),
+    combatId: combat.id,
+    round: combat.round,
+    turn: combat.turn
+  };
+}
+
+/** Whether a template's expiry has come in the combat's current state. */
+export function isTemplateExpired(expiry, combat) {
+  if (!expiry || expiry.combatId !== combat?.id) return false;
+  if (expiry.mode === "turn") return combat.round > expiry.round || combat.turn !== expiry.turn;
+  if (expiry.mode === "round") return combat.round > expiry.round;
+  if (expiry.mode === "rounds") return combat.round >= expiry.round + expiry.rounds;
+  return false;
+}
+
+/** Delete the HUD templates of a combat that match the predicate, on every scene. */
+async function deleteTemplatesWhere(predicate) {
+  for (const scene of game.scenes) {
+    const ids = scene.templates
+      .filter(template => {
+        const expiry = flagsOf(template)?.expiry;
+        return expiry && predicate(expiry);
+      })
+      .map(template => template.id);
+
+    if (!ids.length) continue;
+    debugLog("Templates expired:", scene.name, ids.length);
+    await scene.deleteEmbeddedDocuments("MeasuredTemplate", ids);
+  }
+}
+
+/**
+ * Keep HUD templates on their tokens, styled, and expire them with combat.
+ * Called once at init; writes happen on the responsible GM only.
+ */
+export function registerTemplateHooks() {
+  Hooks.on("updateToken", (tokenDoc, changes) => syncTemplatesToToken(tokenDoc, changes));
+  Hooks.on("refreshToken", followTokenAnimation);
+  Hooks.on("refreshMeasuredTemplate", applyTemplateOpacity);
+
+  // A new theme or band colours restyle the templates already on the board
+  Hooks.on("updateSetting", (setting) => {
+    if (!isTemplateStyleSetting(setting)) return;
+    clearTemplateStyleCache();
+    restyleTemplates().catch(err => {
+      console.error("[GM HUD] Template restyle failed:", err);
+    });
+  });
+
+  Hooks.on("updateCombat", (combat, changes) => {
+    if (!("turn" in changes || "round" in changes) || !isResponsibleGM()) return;
+    deleteTemplatesWhere(expiry => isTemplateExpired(expiry, combat)).catch(err => {
+      console.error("[GM HUD] Template expiry failed:", err);
+    });
+  });
+
+  Hooks.on("deleteCombat", (combat) => {
+    if (!isResponsibleGM()) return;
+    deleteTemplatesWhere(expiry => expiry.combatId === combat.id).catch(err => {
+      console.error("[GM HUD] Template expiry failed:", err);
+    });
+  });
+}
@@ -0,0 +1,105 @@
+// module/helpers/minions.mjs
+
+import { getSetting, SETTINGS, debugLog } from "../settings.mjs";
+import { adjustActorResource } from "./resources.mjs";
+import { hasMarkedAllHitPoints, isTokenDefeated, setTokenDefeated } from "./defeated.mjs";
+
+// "Minion (X)": every X damage defeats one more minion
+const MINION_FEATURE = /^\s*minion\s*\(\s*(\d+)\s*\)/i;
+
+/** Whether an actor is a minion-type adversary. */
+export function isMinion(actor) {
+  return actor?.type === "adversary" && String(actor.system?.type ?? "").toLowerCase() === "minion";
+}
+
+/** X from the actor's "Minion (X)" feature, or null without one. */
+export function getMinionThreshold(actor) {
+  for (const item of actor?.items ?? []) {
+    const match = item.name?.match(MINION_FEATURE);
+    if (match) return Number(match[1]);
+  }
+  return null;
+}
+
+/** Minions a damage total defeats: the one hit, plus one per full X damage. */
+export function minionsDefeatedBy(damage, threshold) {
+  const amount = Math.floor(Number(damage) || 0);
+  if (amount <= 0) return 0;
+  return 1 + (threshold > 0 ? Math.floor(amount / threshold) : 0);
+}
+
+/** Whether a minion token is already out of the fight. */
+function isMinionDown(token) {
+  return isTokenDefeated(token) || hasMarkedAllHitPoints(token.actor);
+}
+
+/**
+ * Every minion token on the canvas made from the same actor as the given
+ * one (unlinked copies of one minion stat block form a group).
+ */
+export function getMinionGroup(token) {
+  const tokenDoc = token?.document ?? token;
+  if (!tokenDoc || !isMinion(tokenDoc.actor)) return [];
+  return (canvas.tokens?.placeables ?? [])
+    .filter(t => t.document.actorId === tokenDoc.actorId && isMinion(t.actor));
+}
+
+/** Minions of the group still standing, and the group size. */
+export function getMinionGroupCount(token) {
+  const group = getMinionGroup(token);
+  return {
+    remaining: group.filter(t => !isMinionDown(t)).length,
+    total: group.length
+  };
+}
+
+function distanceBetween(a, b) {
+  return Math.hypot(a.center.x - b.center.x, a.center.y - b.center.y);
+}
+
+/**
+ * Apply a damage total to minions: the first token takes the hit, and the
+ * spillover defeats more of the candidates, nearest first.
+ * Candidates are the given tokens (e.g. the selection) or the token's group.
+ * @returns {Promise<{damage: number, threshold: number|null, count: number, defeated: string[], remaining: number}>}
+ */
+export async function applyMinionDamage(damage, { token = null, tokens = null, source = "hud" } = {}) {
+  const amount = Math.max(0, Math.floor(Number(damage) || 0));
+  const primary = token?.object ?? token ?? tokens?.[0] ?? null;
+  const candidates = (tokens ?? getMinionGroup(primary)).filter(t => isMinion(t.actor) && !isMinionDown(t));
+
+  // The token that was hit goes first, the rest by distance from it
+  if (primary) {
+    candidates.sort((a, b) => {
+      if (a.id === primary.id) return -1;
+      if (b.id === primary.id) return 1;
+      return distanceBetween(a, primary) - distanceBetween(b, primary);
+    });
+  }
+
+  const threshold = getMinionThreshold(primary?.actor ?? candidates[0]?.actor);
+  const count = minionsDefeatedBy(amount, threshold);
+  const defeated = [];
+
+  for (const minion of candidates.slice(0, count)) {
+    const hp = minion.actor.system?.resources?.hitPoints ?? {};
+    const toMark = Number(hp.max ?? 0) - Number(hp.value ?? 0);
+    const marked = toMark > 0
+      ? await adjustActorResource(minion.actor, "hitPoints", toMark, { token: minion.document, source })
+      : null;
+    // With Auto Defeated on, marking the last HP already defeats the token (see defeated.mjs)
+    if (!(marked && getSetting(SETTINGS.autoDefeated))) await setTokenDefeated(minion.document, true);
+    defeated.push(minion.name);
+  }
+
+  const remaining = primary ? getMinionGroupCount(primary).remaining : 0;
+  const result = { damage: amount, threshold, count, defeated, remaining };
+  debugLog("Minion damage applied:", result);
+  return result;
+}
+
+/** Short text describing a minion damage result, e.g. "12 dmg: 3 minions defeated". */
+export function formatMinionResult({ damage, count, defeated }) {
+  const short = defeated.length < count ? ` (${count - defeated.length} more had no target)` : "";
+  return `${damage} dmg: ${defeated.length} minion${defeated.length === 1 ? "" : "s"} defeated${short}`;
+}
@@ -0,0 +1,159 @@
+// module/helpers/range-preview.mjs
+
+import { debugLog } from "../settings.mjs";
+import { getRangeDistance } from "./ranges.mjs";
+import { targetTokens } from "./attack-resolution.mjs";
+
+const RING_COLOR = 0xFF6B35;
+
+// The one preview on this client: { source, tokenId, range, tokenIds, graphics }
+let _preview = null;
+
+// Whether a redraw is waiting for the next animation frame
+let _redrawQueued = false;
+
+function placeableOf(token) {
+  return token?.object ?? token ?? null;
+}
+
+function toPixels(distance) {
+  const { size, distance: perSquare } = canvas.dimensions;
+  return (distance / perSquare) * size;
+}
+
+function dispositionColor(token) {
+  const colors = CONFIG.Canvas.dispositionColors ?? {};
+  const D = CONST.TOKEN_DISPOSITIONS;
+  const color = {
+    [D.FRIENDLY]: colors.FRIENDLY,
+    [D.NEUTRAL]: colors.NEUTRAL,
+    [D.HOSTILE]: colors.HOSTILE,
+    [D.SECRET]: colors.SECRET
+  }[token.document.disposition];
+  return Number(color ?? RING_COLOR);
+}
+
+/**
+ * Tokens on the canvas within a range band of a token, measured like the
+ * range templates: a circle around its center that must reach the target.
+ */
+export function getTokensInRange(token, range) {
+  const origin = placeableOf(token);
+  if (!canvas?.ready || !origin) return [];
+
+  const reach = getRangeDistance(range, { scene: canvas.scene, token: origin });
+  if (!reach) return [];
+
+  const radius = toPixels(reach.distance);
+  return canvas.tokens.placeables.filter(t => isWithin(origin, t, radius));
+}
+
+function isWithin(origin, t, radius) {
+  if (t.id === origin.id || (t.document.hidden && !game.user.isGM)) return false;
+  const gap = Math.hypot(t.center.x - origin.center.x, t.center.y - origin.center.y) - Math.max(t.w, t.h) / 2;
+  return gap <= radius;
+}
+
+/** Whether a refreshed token changes the preview: its origin, a highlighted token, or one now in range. */
+function affectsPreview(token) {
+  if (token.id === _preview.tokenId || _preview.tokenIds.has(token.id)) return true;
+  const origin = canvas.tokens?.get(_preview.tokenId);
+  const reach = origin && getRangeDistance(_preview.range, { scene: canvas.scene, token: origin });
+  return Boolean(reach && isWithin(origin, token, toPixels(reach.distance)));
+}
+
+function redraw() {
+  _redrawQueued = false;
+  if (!_preview) return;
+
+  const { source, tokenId, range } = _preview;
+  const origin = canvas.tokens?.get(tokenId);
+  if (!origin) return clearRangePreview();
+
+  if (!_preview.graphics.destroyed) _preview.graphics.destroy();
+  setPreview(source, origin, range);
+}
+
+function setPreview(source, origin, range) {
+  const tokens = getTokensInRange(origin, range);
+  _preview = {
+    source,
+    tokenId: origin.id,
+    range,
+    tokenIds: new Set(tokens.map(t => t.id)),
+    graphics: draw(origin, range, tokens)
+  };
+  return tokens;
+}
+
+function draw(origin, range, tokens) {
+  const reach = getRangeDistance(range, { scene: canvas.scene, token: origin });
+  const graphics = new PIXI.Graphics();
+
+  graphics.lineStyle(2, RING_COLOR, 0.6).drawCircle(origin.center.x, origin.center.y, toPixels(reach.distance));
+  for (const t of tokens) {
+    const color = dispositionColor(t);
+    graphics.lineStyle(4, color, 0.9)
+      .beginFill(color, 0.2)
+      .drawCircle(t.center.x, t.center.y, Math.max(t.w, t.h) / 2 + 4)
+      .endFill();
+  }
+
+  (canvas.controls ?? canvas.interface).addChild(graphics);
+  return graphics;
+}
+
+/**
+ * Highlight the tokens within a range band of a token, tinted by disposition.
+ * Client-side only; replaces any previous preview.
+ * @param {string} source what started it ("key" or "panel"), so only that can clear it
+ * @returns {Token[]} the highlighted tokens
+ */
+export function showRangePreview(token, range, { source = "panel" } = {}) {
+  const origin = placeableOf(token);
+  clearRangePreview();
+  if (!canvas?.ready || !origin) return [];
+
+  const tokens = setPreview(source, origin, range);
+  debugLog("Range preview:", range, tokens.map(t => t.name));
+  return tokens;
+}
+
+/** Remove the preview (only one started by the given source, when passed). */
+export function clearRangePreview({ source = null, tokenId = null } = {}) {
+  if (!_preview) return;
+  if (source && _preview.source !== source) return;
+  if (tokenId && _preview.tokenId !== tokenId) return;
+
+  if (!_preview.graphics.destroyed) _preview.graphics.destroy();
+  _preview = null;
+}
+
+/** The current preview's token id, range and source, or null. */
+export function getRangePreview() {
+  return _preview ? { tokenId: _preview.tokenId, range: _preview.range, source: _preview.source } : null;
+}
+
+/** Target every token within a range band of a token. Returns the targeted tokens. */
+export function targetTokensInRange(token, range) {
+  const tokens = getTokensInRange(token, range);
+  targetTokens(tokens.map(t => t.id));
+  return tokens;
+}
+
+/**
+ * Keep the preview on tokens that move (redrawn at most once a frame), and
+ * drop it with the canvas. Called once at init.
+ */
+export function registerRangePreviewHooks() {
+  Hooks.on("refreshToken", (token, flags) => {
+    if (!_preview || _redrawQueued) return;
+    if (flags && !(flags.refreshPosition || flags.refreshSize)) return;
+    if (!affectsPreview(token)) return;
+
+    _redrawQueued = true;
+    requestAnimationFrame(redraw);
+  });
+
+  Hooks.on("canvasTearDown", () => clearRangePreview());
+}
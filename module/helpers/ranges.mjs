@@ -0,0 +1,99 @@
+// module/helpers/ranges.mjs
+
+import { getSetting, SETTINGS } from "../settings.mjs";
+
+/** Daggerheart range bands, nearest first, as the system keys them. */
+export const RANGE_BANDS = ["melee", "veryClose", "close", "far", "veryFar"];
+
+/** Default reach of each band, in grid squares. */
+export const DEFAULT_RANGE_DISTANCES = { melee: 1, veryClose: 3, close: 6, far: 12, veryFar: 20 };
+
+/** How the range distances setting is measured. */
+export const RANGE_UNITS = { squares: "squares", units: "units" };
+
+/** The system key of a range band, whatever its case ("veryfar" -> "veryFar"), or null. */
+export function normalizeRange(range) {
+  const key = String(range ?? "").trim().toLowerCase();
+  return RANGE_BANDS.find(band => band.toLowerCase() === key) ?? null;
+}
+
+/** The range distances setting as text, e.g. "melee=1, veryClose=3, close=6, far=12, veryFar=20". */
+export function formatRangeDistances(distances = DEFAULT_RANGE_DISTANCES) {
+  return RANGE_BANDS.map(band => `${band}=${distances[band]}`).join(", ");
+}
+
+/** Read a "band=value, band=value" setting into { band: "value" }, skipping unknown bands. */
+export function parseRangeSetting(text) {
+  const values = {};
+  for (const entry of String(text ?? "").split(/[,;\n]/)) {
+    const [rawKey, rawValue] = entry.split(/[=:]/).map(part => part?.trim());
+    const band = normalizeRange(rawKey);
+    if (band && rawValue) values[band] = rawValue;
+  }
+  return values;
+}
+
+/**
+ * The configured reach of every band. Entries the setting leaves out or
+ * gets wrong keep their default.
+ */
+export function getRangeDistances() {
+  const distances = { ...DEFAULT_RANGE_DISTANCES };
+  for (const [band, raw] of Object.entries(parseRangeSetting(getSetting(SETTINGS.rangeDistances)))) {
+    const value = Number(raw);
+    if (Number.isFinite(value) && value > 0) distances[band] = value;
+  }
+  return distances;
+}
+
+/** Per-band template colour overrides from the Range Colors setting, e.g. { close: "#f2c24b" }. */
+export function getRangeColors() {
+  const colors = {};
+  for (const [band, raw] of Object.entries(parseRangeSetting(getSetting(SETTINGS.rangeColors)))) {
+    if (/^#[0-9a-f]{6}$/i.test(raw)) colors[band] = raw.toLowerCase();
+  }
+  return colors;
+}
+
+/** Size of one grid square in scene units (gridless scenes keep a grid distance too). */
+function sceneUnitsPerSquare(scene) {
+  return Number(scene?.grid?.distance) || 5;
+}
+
+/**
+ * The radius of a band's template in scene units. Melee reaches the squares
+ * next to the token, so it adds half the token's size to its reach.
+ * @returns {{range: string, distance: number, units: string}|null}
+ */
+export function getRangeDistance(range, { scene = canvas?.scene, token = null } = {}) {
+  const band = normalizeRange(range);
+  if (!band) return null;
+
+  const perSquare = sceneUnitsPerSquare(scene);
+  const inSquares = getSetting(SETTINGS.rangeUnits) !== RANGE_UNITS.units;
+  let distance = getRangeDistances()[band] * (inSquares ? perSquare : 1);
+
+  if (band === "melee") {
+    const size = Math.max(Number(token?.document?.width ?? token?.width ?? 1), Number(token?.document?.height ?? token?.height ?? 1));
+    distance += (size / 2) * perSquare;
+  }
+
+  return { range: band, distance, units: scene?.grid?.units ?? "" };
+}
+
+/**
+ * Every band for the range panel, with its reach and whether it is the
+ * attack's own range.
+ */
+export function prepareRangeBands(currentRange = null, { scene = canvas?.scene, token = null } = {}) {
+  const current = normalizeRange(currentRange);
+  return RANGE_BANDS.map(band => {
+    const { distance, units } = getRangeDistance(band, { scene, token });
+    return {
+      key: band,
+      name: game.i18n.localize(`DAGGERHEART.CONFIG.Range.${band}.name`),
+      distanceLabel: `${Math.round(distance * 10) / 10}${units ? ` ${units}` : ""}`,
+      current: band === current
+    };
+  });
+}
@@ -0,0 +1,95 @@
+// module/helpers/resources.mjs
+
+import { getSetting, SETTINGS, debugLog } from "../settings.mjs";
+import { HUD_HOOKS } from "./hooks.mjs";
+
+/** Actor resources the HUD can adjust, keyed by the name used in the API. */
+export const RESOURCE_PATHS = {
+  hitPoints: "system.resources.hitPoints",
+  stress: "system.resources.stress"
+};
+
+/**
+ * Adjust an actor resource by delta, clamped to [0, max].
+ * Stress that doesn't fit spills into Hit Points unless the Stress Overflow setting is off.
+ * Fires dgmHud.preResourceChange (cancellable) and dgmHud.resourceChanged.
+ * @returns {Promise<{resource: string, from: number, to: number, overflow?: object}|null>} the applied change, or null
+ */
+export async function adjustActorResource(actor, resource, delta, { token = null, source = "hud" } = {}) {
+  const base = RESOURCE_PATHS[resource];
+  if (!actor || !base) return null;
+
+  const current = Number(foundry.utils.getProperty(actor, `${base}.value`) ?? 0);
+  const max = Number(foundry.utils.getProperty(actor, `${base}.max`) ?? 0);
+
+  // Only new Stress overflows; Stress already over the maximum doesn't count again
+  const overflow = Math.min(delta, Math.max(0, current + delta - max));
+  if (resource === "stress" && actor.type === "adversary" && overflow > 0 && getSetting(SETTINGS.stressOverflow)) {
+    return overflowStressIntoHitPoints(actor, { current, max, overflow }, { token, source });
+  }
+
+  const next = Math.min(max, Math.max(0, current + delta));
+  if (next === current) return null;
+
+  const change = { resource, from: current, to: next, delta: next - current, token, source };
+  if (Hooks.call(HUD_HOOKS.preResourceChange, actor, change) === false) {
+    debugLog("Resource change cancelled by hook:", resource);
+    return null;
+  }
+
+  await actor.update({ [`${base}.value`]: change.to });
+  debugLog("Resource adjusted:", resource, "from", current, "to", change.to);
+
+  Hooks.callAll(HUD_HOOKS.resourceChanged, actor, change);
+  return change;
+}
+
+/**
+ * An adversary that must mark Stress with none left marks HP instead:
+ * fill what Stress remains and mark the rest as HP, in one update and one
+ * change (the HP part under change.overflow), with a notice.
+ */
+async function overflowStressIntoHitPoints(actor, { current, max, overflow }, { token, source }) {
+  const hpBase = RESOURCE_PATHS.hitPoints;
+  const hpCurrent = Number(foundry.utils.getProperty(actor, `${hpBase}.value`) ?? 0);
+  const hpMax = Number(foundry.utils.getProperty(actor, `${hpBase}.max`) ?? 0);
+  const hpNext = Math.min(hpMax, hpCurrent + overflow);
+  const stressNext = Math.max(current, max);
+
+  const change = {
+    resource: "stress", from: current, to: stressNext, delta: stressNext - current, token, source,
+    overflow: { resource: "hitPoints", from: hpCurrent, to: hpNext, delta: hpNext - hpCurrent }
+  };
+  if (!change.delta && !change.overflow.delta) return null;
+  if (Hooks.call(HUD_HOOKS.preResourceChange, actor, change) === false) {
+    debugLog("Resource change cancelled by hook:", "stress");
+    return null;
+  }
+
+  await actor.update({
+    [`${RESOURCE_PATHS.stress}.value`]: change.to,
+    [`${hpBase}.value`]: change.overflow.to
+  });
+
+  const marked = change.overflow.delta;
+  ui.notifications?.warn(`${actor.name} has no Stress left: marked ${marked} HP instead of ${overflow} Stress`);
+  debugLog("Stress overflow:", actor.name, { overflow, marked });
+
+  Hooks.callAll(HUD_HOOKS.resourceChanged, actor, change);
+  return change;
+}
+
+/** Set an actor resource to an absolute value (clamped), through adjustActorResource. */
+export async function setActorResource(actor, resource, value, options = {}) {
+  const base = RESOURCE_PATHS[resource];
+  if (!actor || !base) return null;
+
+  const target = Number(value);
+  if (String(value ?? "").trim() === "" || !Number.isFinite(target)) {
+    ui.notifications?.warn(`"${value}" is not a number`);
+    return null;
+  }
+
+  const current = Number(foundry.utils.getProperty(actor, `${base}.value`) ?? 0);
+  return adjustActorResource(actor, resource, target - current, options);
+}
@@ -0,0 +1,76 @@
+// module/helpers/roll-modes.mjs
+
+import { debugLog } from "../settings.mjs";
+
+const MODULE_ID = "daggerheart-gm-hud";
+
+/** HUD actions with their own remembered roll visibility. */
+export const ROLL_MODE_ACTIONS = {
+  attack: "Attack",
+  damage: "Damage",
+  reaction: "Reaction",
+  inline: "Inline Rolls",
+  featureChat: "Feature to Chat"
+};
+
+// Stored value meaning "follow the chat log's roll mode"
+const DEFAULT_MODE = "default";
+
+function savedModes() {
+  return game.user.getFlag(MODULE_ID, "rollModes") ?? {};
+}
+
+/** Roll mode for a HUD action: the remembered one, or the chat log's current mode. */
+export function getActionRollMode(action) {
+  const saved = savedModes()[action];
+  if (saved && saved !== DEFAULT_MODE && saved in (CONFIG.Dice.rollModes ?? {})) return saved;
+  return game.settings.get("core", "rollMode");
+}
+
+/** Remember the roll mode of a HUD action ("default" follows the chat log). */
+export async function setActionRollMode(action, mode) {
+  if (!(action in ROLL_MODE_ACTIONS)) return;
+  debugLog("Roll mode for", action, "set to", mode);
+  await game.user.setFlag(MODULE_ID, "rollModes", { ...savedModes(), [action]: mode || DEFAULT_MODE });
+}
+
+/** Roll visibility selectors for the HUD template. */
+export function prepareRollModes() {
+  const saved = savedModes();
+  const modes = Object.entries(CONFIG.Dice.rollModes ?? {}).map(([value, mode]) => ({
+    value,
+    label: game.i18n.localize(typeof mode === "string" ? mode : mode.label)
+  }));
+
+  return Object.entries(ROLL_MODE_ACTIONS).map(([action, label]) => {
+    const current = saved[action] ?? DEFAULT_MODE;
+    return {
+      action,
+      label,
+      choices: [{ value: DEFAULT_MODE, label: "Chat Setting" }, ...modes]
+        .map(choice => ({ ...choice, selected: choice.value === current }))
+    };
+  });
+}
+
+/** Chat message data with the whisper/blind fields of a roll mode applied. */
+export function applyRollModeToData(data, rollMode) {
+  ChatMessage.applyRollMode(data, rollMode);
+  return data;
+}
+
+/**
+ * Run something that posts chat messages without a roll mode we can pass in
+ * (system rolls, item cards) and apply the roll mode to every message this
+ * user creates meanwhile. The core roll mode setting is left alone.
+ */
+export async function withMessageRollMode(rollMode, fn) {
+  const hookId = Hooks.on("preCreateChatMessage", (message, _data, _options, userId) => {
+    if (userId === game.user.id) message.applyRollMode(rollMode);
+  });
+  try {
+    return await fn();
+  } finally {
+    Hooks.off("preCreateChatMessage", hookId);
+  }
+}
@@ -0,0 +1,146 @@
+// module/helpers/roll-options.mjs
+
+import { debugLog } from "../settings.mjs";
+
+/** Advantage state of a roll: +1 advantage, -1 disadvantage. */
+export const ADVANTAGE = { normal: 0, advantage: 1, disadvantage: -1 };
+
+const ADVANTAGE_LABELS = { [ADVANTAGE.advantage]: "Advantage", [ADVANTAGE.disadvantage]: "Disadvantage" };
+
+/**
+ * Roll options from the modifier keys of a click:
+ * alt = advantage, ctrl (cmd on macOS) = disadvantage, shift = open the dialog.
+ */
+export function rollOptionsFromEvent(ev) {
+  const advantage = ev?.altKey ? ADVANTAGE.advantage
+    : (ev?.ctrlKey || ev?.metaKey) ? ADVANTAGE.disadvantage
+    : ADVANTAGE.normal;
+  return { advantage, prompt: Boolean(ev?.shiftKey) };
+}
+
+function rollModeChoices() {
+  return Object.entries(CONFIG.Dice.rollModes ?? {}).map(([value, mode]) => ({
+    value,
+    label: game.i18n.localize(typeof mode === "string" ? mode : mode.label)
+  }));
+}
+
+/**
+ * Dialog for a HUD roll: advantage, situational bonus, an experience and the roll mode.
+ * @returns {Promise<object|false>} the chosen options, or false if dismissed
+ */
+export async function promptRollOptions(actor, { title = "Roll", advantage = ADVANTAGE.normal, rollMode = null } = {}) {
+  const experiences = Object.entries(actor?.system?.experiences ?? {});
+  const currentMode = rollMode ?? game.settings.get("core", "rollMode");
+  const option = (value, label, selected) => `<option value="${value}"${selected ? " selected" : ""}>${label}</option>`;
+
+  const content = `
+    <div class="form-group">
+      <label>Advantage</label>
+      <select name="advantage">
+        ${option(ADVANTAGE.normal, "Normal", advantage === ADVANTAGE.normal)}
+        ${option(ADVANTAGE.advantage, "Advantage", advantage === ADVANTAGE.advantage)}
+        ${option(ADVANTAGE.disadvantage, "Disadvantage", advantage === ADVANTAGE.disadvantage)}
+      </select>
+    </div>
+    <div class="form-group">
+      <label>Situational Bonus</label>
+      <input type="text" name="bonus" placeholder="+2, -1, 1d4…">
+    </div>
+    ${experiences.length ? `
+    <div class="form-group">
+      <label>Experience</label>
+      <select name="experience">
+        ${option("", "—", true)}
+        ${experiences.map(([id, exp]) => option(id, `${exp.name} (+${Number(exp.value ?? 0)})`, false)).join("")}
+      </select>
+    </div>` : ""}
+    <div class="form-group">
+      <label>${game.i18n.localize("CHAT.RollVisibility")}</label>
+      <select name="rollMode">
+        ${rollModeChoices().map(mode => option(mode.value, mode.label, mode.value === currentMode)).join("")}
+      </select>
+    </div>`;
+
+  const result = await foundry.applications.api.DialogV2.prompt({
+    window: { title },
+    content,
+    ok: {
+      label: "Roll",
+      icon: "fa-solid fa-dice-d20",
+      callback: (_event, button) => {
+        const elements = button.form.elements;
+        const experience = actor?.system?.experiences?.[elements.experience?.value];
+        return {
+          advantage: Number(elements.advantage.value) || ADVANTAGE.normal,
+          bonus: elements.bonus.value.trim(),
+          experience: experience ? { name: experience.name, value: Number(experience.value ?? 0) } : null,
+          rollMode: elements.rollMode.value
+        };
+      }
+    },
+    rejectClose: false
+  });
+
+  debugLog("Roll options chosen:", result);
+  return result ?? false;
+}
+
+/**
+ * Roll options for a click: null for a plain click (use the system roll),
+ * the dialog's choices on shift-click, or false if the dialog was dismissed.
+ */
+export async function getRollOptions(ev, actor, { title, rollMode = null } = {}) {
+  const { advantage, prompt } = rollOptionsFromEvent(ev);
+  if (prompt) return promptRollOptions(actor, { title, advantage, rollMode });
+  return advantage ? { advantage } : null;
+}
+
+/**
+ * Apply roll options to a formula: advantage turns the first d20 into
+ * 2d20 keep highest (disadvantage: keep lowest), then the situational bonus
+ * and experience are added.
+ */
+export function applyRollOptions(formula, options) {
+  if (!options) return formula;
+
+  let result = String(formula);
+  if (options.advantage) {
+    const keep = options.advantage > 0 ? "kh" : "kl";
+    result = result.replace(/\b1?d20\b/i, `2d20${keep}`);
+  }
+
+  const bonus = String(options.bonus ?? "").trim();
+  if (bonus) result += /^[+-]/.test(bonus) ? ` ${bonus[0]} ${bonus.slice(1).trim()}` : ` + ${bonus}`;
+  if (options.experience?.value) result += ` + ${options.experience.value}`;
+  return result;
+}
+
+/** Flavor text listing the applied options, e.g. "Attack · Advantage · Ambusher +2". */
+export function describeRollOptions(label, options) {
+  const parts = [label];
+  if (options?.advantage) parts.push(ADVANTAGE_LABELS[options.advantage]);
+  if (options?.experience) parts.push(`${options.experience.name} +${options.experience.value}`);
+  if (options?.bonus) parts.push(`Bonus ${options.bonus}`);
+  return parts.join(" · ");
+}
+
+/**
+ * Roll a formula with the given options and post it to chat in the chosen roll mode (else rollMode).
+ * A formula that doesn't roll (e.g. a mistyped bonus) warns and resolves to null.
+ */
+export async function rollWithOptions(actor, formula, options, { flavor = "", rollMode = null } = {}) {
+  const full = applyRollOptions(formula, options);
+  try {
+    const roll = await new Roll(full, actor?.getRollData?.() ?? {}).evaluate();
+    await roll.toMessage(
+      { speaker: ChatMessage.getSpeaker({ actor }), flavor: describeRollOptions(flavor, options) },
+      { rollMode: options?.rollMode ?? rollMode ?? game.settings.get("core", "rollMode") }
+    );
+    return roll;
+  } catch (err) {
+    console.error("[GM HUD] Roll failed:", full, err);
+    ui.notifications?.warn(`Could not roll "${full}": check the bonus`);
+    return null;
+  }
+}
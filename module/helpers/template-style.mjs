@@ -0,0 +1,126 @@
+// module/helpers/template-style.mjs
+
+import { getCurrentTheme, SETTINGS, debugLog } from "../settings.mjs";
+import { normalizeRange, getRangeColors } from "./ranges.mjs";
+
+const MODULE_ID = "daggerheart-gm-hud";
+
+// Used when the theme defines no usable colour
+const FALLBACK_COLOR = "#ff6b35";
+
+// Fill of templates drawn without fill (toggle-fill off)
+export const NO_FILL = "#00000000";
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Settings that change how HUD templates look
+const STYLE_SETTINGS = [SETTINGS.theme, SETTINGS.rangeColors].map(key => `${MODULE_ID}.${key}`);
+
+// theme -> its template variables, read once per theme
+const _themeCache = new Map();
+
+/**
+ * The template variables of the active theme, read from a throwaway element
+ * carrying the HUD and theme classes (dgm-themes.css defines them there).
+ */
+function readThemeVariables() {
+  const theme = getCurrentTheme();
+  if (_themeCache.has(theme)) return _themeCache.get(theme);
+
+  const probe = document.createElement("div");
+  probe.className = `daggerheart-gm-hud dgm-theme-${theme}`;
+  probe.style.display = "none";
+  document.body.append(probe);
+
+  const css = getComputedStyle(probe);
+  const read = (name) => css.getPropertyValue(name).trim();
+  const vars = {
+    accent: read("--dgm-accent"),
+    border: read("--dgm-template-border"),
+    fill: read("--dgm-template-fill"),
+    opacity: read("--dgm-template-opacity"),
+    texture: read("--dgm-template-texture")
+  };
+  probe.remove();
+  _themeCache.set(theme, vars);
+  return vars;
+}
+
+function hexOr(value, fallback) {
+  return HEX_COLOR.test(value ?? "") ? value.toLowerCase() : fallback;
+}
+
+/**
+ * Border, fill, opacity and texture for a range band's template: the active
+ * theme's, with the band's colour from the Range Template Colors setting on top.
+ * @returns {{borderColor: string, fillColor: string, opacity: number, texture: string}}
+ */
+export function getTemplateStyle(range) {
+  const theme = readThemeVariables();
+  const override = getRangeColors()[normalizeRange(range)];
+
+  const themeBorder = hexOr(theme.border, hexOr(theme.accent, FALLBACK_COLOR));
+  const opacity = Number(theme.opacity);
+
+  return {
+    borderColor: override ?? themeBorder,
+    fillColor: override ?? hexOr(theme.fill, themeBorder),
+    opacity: Number.isFinite(opacity) && theme.opacity !== "" ? Math.min(1, Math.max(0, opacity)) : 1,
+    texture: theme.texture.replace(/^["']|["']$/g, "")
+  };
+}
+
+/**
+ * Template document data for a band's style: colours, texture, and the
+ * opacity and fill state kept in the HUD's flags.
+ */
+export function templateStyleData(range, { filled = true } = {}) {
+  const style = getTemplateStyle(range);
+  return {
+    borderColor: style.borderColor,
+    fillColor: filled ? style.fillColor : NO_FILL,
+    texture: style.texture,
+    flags: { [MODULE_ID]: { style: { opacity: style.opacity, filled } } }
+  };
+}
+
+/**
+ * Bring every HUD template in line with the current theme and band colours,
+ * keeping each one's fill on or off. Run by the responsible GM only.
+ */
+export async function restyleTemplates() {
+  if (!game.users.activeGM?.isSelf) return;
+
+  for (const scene of game.scenes) {
+    const updates = scene.templates
+      .filter(template => template.flags?.[MODULE_ID]?.range)
+      .map(template => {
+        const flags = template.flags[MODULE_ID];
+        return { _id: template.id, ...templateStyleData(flags.range, { filled: flags.style?.filled !== false }) };
+      });
+    if (!updates.length) continue;
+
+    await scene.updateEmbeddedDocuments("MeasuredTemplate", updates);
+    debugLog("Templates restyled:", scene.name, updates.length);
+  }
+}
+
+/** Whether a changed setting is one the template style reads. */
+export function isTemplateStyleSetting(setting) {
+  return STYLE_SETTINGS.includes(setting?.key);
+}
+
+/** Forget the theme variables read so far, e.g. after a theme change. */
+export function clearTemplateStyleCache() {
+  _themeCache.clear();
+}
+
+/**
+ * Templates have no opacity of their own; apply the one stored in the HUD's
+ * flags whenever a template is drawn.
+ */
+export function applyTemplateOpacity(template) {
+  const opacity = template.document.flags?.[MODULE_ID]?.style?.opacity;
+  if (opacity === undefined || !template.template) return;
+  template.template.alpha = opacity;
+}
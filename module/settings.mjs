@@ -8,6 +8,13 @@ export const SETTINGS = {
   customFrame: "customFrame", 
   ringFrameScale: "ringFrameScale",
   disableRingFrames: "disableRingFrames",
+  followCombat: "followCombat",
+  massiveDamage: "massiveDamage",
+  stressOverflow: "stressOverflow",
+  autoDefeated: "autoDefeated",
+  rangeDistances: "rangeDistances",
+  rangeUnits: "rangeUnits",
+  rangeColors: "rangeColors",
   debug: "debug"
 };
 
@@ -165,6 +172,86 @@ export function registerGMHUDSettings() {
     }
   });
 
+  // Follow Combat - show the active combatant's adversary when the turn changes
+  game.settings.register(MODULE_ID, SETTINGS.followCombat, {
+    name: "Follow Active Combatant",
+    hint: "During combat, the HUD switches to the current combatant's adversary on every turn change and shows turn and defeated controls. Outside combat it follows the selected token as usual.",
+    scope: "world",
+    config: true, // Always show, we'll filter in the settings menu render hook
+    type: Boolean,
+    default: false,
+    onChange: (value) => {
+      debugLog(`Follow combat ${value ? 'enabled' : 'disabled'}`);
+    }
+  });
+
+  // Massive Damage - optional rule for the damage entry
+  game.settings.register(MODULE_ID, SETTINGS.massiveDamage, {
+    name: "Massive Damage (Optional Rule)",
+    hint: "When applying damage from the HUD, damage equal to or above twice the Severe threshold marks 4 HP instead of 3.",
+    scope: "world",
+    config: true, // Always show, we'll filter in the settings menu render hook
+    type: Boolean,
+    default: false
+  });
+
+  // Stress Overflow - Stress beyond the maximum is marked as HP
+  game.settings.register(MODULE_ID, SETTINGS.stressOverflow, {
+    name: "Stress Overflow",
+    hint: "When an adversary must mark Stress but has none left, mark Hit Points instead (core rule). Turn off if your table house-rules it.",
+    scope: "world",
+    config: true, // Always show, we'll filter in the settings menu render hook
+    type: Boolean,
+    default: true
+  });
+
+  // Auto Defeated - Marking the last HP defeats the adversary
+  game.settings.register(MODULE_ID, SETTINGS.autoDefeated, {
+    name: "Auto Defeated",
+    hint: "When an adversary marks its last Hit Point, apply the defeated status and mark its combatant defeated. Clearing an HP reverses it.",
+    scope: "world",
+    config: true, // Always show, we'll filter in the settings menu render hook
+    type: Boolean,
+    default: false
+  });
+
+  // Range Distances - reach of each range band for range templates
+  game.settings.register(MODULE_ID, SETTINGS.rangeDistances, {
+    name: "Range Distances",
+    hint: "Reach of each range band for range templates, as band=distance pairs. Melee is measured from the token's edge; Very Far sets the outer ring.",
+    scope: "world",
+    config: true, // Always show, we'll filter in the settings menu render hook
+    restricted: true,
+    type: String,
+    default: "melee=1, veryClose=3, close=6, far=12, veryFar=20"
+  });
+
+  // Range Units - whether range distances are grid squares or scene units
+  game.settings.register(MODULE_ID, SETTINGS.rangeUnits, {
+    name: "Range Distance Units",
+    hint: "Grid squares follow each scene's grid distance (gridless scenes included). Scene units use the distances as they are, in the scene's own units (ft, m...).",
+    scope: "world",
+    config: true, // Always show, we'll filter in the settings menu render hook
+    restricted: true,
+    type: String,
+    choices: {
+      "squares": "Grid squares",
+      "units": "Scene units"
+    },
+    default: "squares"
+  });
+
+  // Range Colors - per-band template colour, over the theme's
+  game.settings.register(MODULE_ID, SETTINGS.rangeColors, {
+    name: "Range Template Colors",
+    hint: "Optional colour per range band, as band=#rrggbb pairs (e.g. veryClose=#7bd389, close=#f2c24b, far=#e17055). Bands left out use the HUD theme's template colours.",
+    scope: "world",
+    config: true, // Always show, we'll filter in the settings menu render hook
+    restricted: true,
+    type: String,
+    default: ""
+  });
+
   // Debug Mode - CLIENT SCOPED (each user can enable their own debug)
   game.settings.register(MODULE_ID, SETTINGS.debug, {
     name: "Debug Mode",
@@ -226,6 +313,13 @@ export function registerGMHUDSettings() {
       `${MODULE_ID}.${SETTINGS.customFrame}`,
       `${MODULE_ID}.${SETTINGS.ringFrameScale}`,
       `${MODULE_ID}.disableRingFrames`,
+      `${MODULE_ID}.${SETTINGS.followCombat}`,
+      `${MODULE_ID}.${SETTINGS.massiveDamage}`,
+      `${MODULE_ID}.${SETTINGS.stressOverflow}`,
+      `${MODULE_ID}.${SETTINGS.autoDefeated}`,
+      `${MODULE_ID}.${SETTINGS.rangeDistances}`,
+      `${MODULE_ID}.${SETTINGS.rangeUnits}`,
+      `${MODULE_ID}.${SETTINGS.rangeColors}`,
       `${MODULE_ID}.${SETTINGS.debug}`
     ];
     